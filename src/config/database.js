@@ -41,13 +41,4 @@ mongoose.connection.on('disconnected', () => {
   console.log('⚠️  Mongoose disconnected from MongoDB');
 });
 
-/**
- * Graceful shutdown - close database connection
- */
-process.on('SIGINT', async () => {
-  await mongoose.connection.close();
-  console.log('👋 MongoDB connection closed due to app termination');
-  process.exit(0);
-});
-
 module.exports = connectDatabase;
\ No newline at end of file
@@ -18,8 +18,38 @@ module.exports = {
   JWT_SECRET: process.env.JWT_SECRET || 'fallback-secret-change-in-production',
   JWT_EXPIRES_IN: '7d', // Token valid for 7 days
   
-  // External APIs
+  // Encryption at rest: master key (32 bytes, base64) wrapping the per-user
+  // data keys. Keys being rotated out go in ENCRYPTION_PREVIOUS_KEYS
+  // (comma-separated) until `npm run encryption -- rotate-master` has run.
+  ENCRYPTION_KEY: process.env.ENCRYPTION_KEY,
+  ENCRYPTION_PREVIOUS_KEYS: (process.env.ENCRYPTION_PREVIOUS_KEYS || '')
+    .split(',')
+    .map(key => key.trim())
+    .filter(Boolean),
+  
+  // AI provider (one of AI_PROVIDER_NAMES), can be overridden per user
+  AI_PROVIDER_NAMES: ['gemini', 'openai', 'echo'],
+  AI_PROVIDER: process.env.AI_PROVIDER || 'gemini',
+  AI_REQUEST_TIMEOUT_MS: parseInt(process.env.AI_REQUEST_TIMEOUT_MS) || 120000,
+  
+  // Gemini
   GEMINI_API_KEY: process.env.GEMINI_API_KEY,
+  GEMINI_MODEL: process.env.GEMINI_MODEL || 'gemini-2.5-flash',
+  
+  // OpenAI-compatible server (OpenAI, Ollama, llama.cpp, ...)
+  OPENAI_BASE_URL: process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1',
+  OPENAI_API_KEY: process.env.OPENAI_API_KEY || null,
+  OPENAI_MODEL: process.env.OPENAI_MODEL || 'llama3.1',
+  
+  // Re-prompts when the model returns invalid JSON
+  AI_JSON_MAX_RETRIES: parseInt(process.env.AI_JSON_MAX_RETRIES) || 2,
+  
+  // Map-reduce summarization (approximate tokens per prompt chunk)
+  AI_CHUNK_TOKEN_BUDGET: parseInt(process.env.AI_CHUNK_TOKEN_BUDGET) || 6000,
+  AI_CHUNK_GAP_MINUTES: parseInt(process.env.AI_CHUNK_GAP_MINUTES) || 60,
+  
+  // Echo provider fixtures (JSON file keyed by task name)
+  AI_FIXTURES_PATH: process.env.AI_FIXTURES_PATH || null,
   
   // CORS
   CORS_ORIGIN: process.env.CORS_ORIGIN || 'http://localhost:3001',
@@ -27,10 +57,38 @@ module.exports = {
   // Message storage config
   MESSAGE_TTL_HOURS: 24, // Messages auto-delete after 24 hours
   MAX_MESSAGES_PER_CHAT: 500, // Limit per chat
+  
+  // Message ingestion: messages are buffered per user and written in batches
+  // of up to INGEST_BATCH_SIZE, at least every INGEST_FLUSH_MS. Above
+  // INGEST_MAX_QUEUE queued messages, event handlers wait for writes to catch up.
+  INGEST_BATCH_SIZE: parseInt(process.env.INGEST_BATCH_SIZE) || 200,
+  INGEST_FLUSH_MS: parseInt(process.env.INGEST_FLUSH_MS) || 1000,
+  INGEST_MAX_QUEUE: parseInt(process.env.INGEST_MAX_QUEUE) || 5000,
+  
+  // WhatsApp reconnects back off exponentially (with jitter) between these
+  // delays; how often each disconnect reason is retried is in reconnectPolicy.js
+  RECONNECT_BASE_DELAY_MS: parseInt(process.env.RECONNECT_BASE_DELAY_MS) || 2000,
+  RECONNECT_MAX_DELAY_MS: parseInt(process.env.RECONNECT_MAX_DELAY_MS) || 5 * 60 * 1000,
+  
+  // Connection event log (GET /api/whatsapp/events) auto-deletes after a month
+  CONNECTION_EVENT_TTL_DAYS: 30,
+  
+  // Q&A conversations auto-delete after a week without questions
+  CONVERSATION_TTL_HOURS: 24 * 7,
+  
+  // Scheduled deliveries: how often to check for due schedules, and how
+  // late a run may still be sent (e.g. after a restart) before it is skipped
+  SCHEDULER_POLL_SECONDS: parseInt(process.env.SCHEDULER_POLL_SECONDS) || 30,
+  SCHEDULE_MISSED_GRACE_MINUTES: parseInt(process.env.SCHEDULE_MISSED_GRACE_MINUTES) || 60,
 };
 
 // Validate required environment variables
-const requiredEnvVars = ['MONGODB_URI', 'JWT_SECRET', 'GEMINI_API_KEY'];
+const requiredEnvVars = ['MONGODB_URI', 'JWT_SECRET', 'ENCRYPTION_KEY'];
+
+// Gemini key is only needed when Gemini is the deployment default
+if (module.exports.AI_PROVIDER === 'gemini') {
+  requiredEnvVars.push('GEMINI_API_KEY');
+}
 
 requiredEnvVars.forEach((envVar) => {
   if (!process.env[envVar]) {
@@ -39,4 +97,12 @@ requiredEnvVars.forEach((envVar) => {
   }
 });
 
+// Master keys must be AES-256 keys
+[module.exports.ENCRYPTION_KEY, ...module.exports.ENCRYPTION_PREVIOUS_KEYS].forEach((key) => {
+  if (Buffer.from(key, 'base64').length !== 32) {
+    console.error('❌ ERROR: ENCRYPTION_KEY / ENCRYPTION_PREVIOUS_KEYS must be 32 bytes, base64-encoded');
+    process.exit(1);
+  }
+});
+
 console.log('✅ Environment variables loaded successfully');
\ No newline at end of file
@@ -5,6 +5,9 @@
 
 const User = require('../models/User');
 const { generateToken } = require('../middleware/auth');
+const { AI_PROVIDER_NAMES } = require('../config/env');
+const retentionService = require('../services/retentionService');
+const privacyService = require('../services/privacyService');
 
 /**
  * SIGNUP - Register new user
@@ -210,6 +213,271 @@ const updatePhoneNumber = async (req, res) => {
   }
 };
 
+/**
+ * UPDATE AI PROVIDER - Override the deployment's default AI provider
+ * PUT /api/auth/ai-provider
+ * Body: { provider } (null to use the default)
+ * Requires authentication
+ */
+const updateAIProvider = async (req, res) => {
+  try {
+    const { provider = null } = req.body;
+    
+    if (provider !== null && !AI_PROVIDER_NAMES.includes(provider)) {
+      return res.status(400).json({
+        success: false,
+        message: `Provider must be one of: ${AI_PROVIDER_NAMES.join(', ')}`,
+      });
+    }
+    
+    const user = await User.findById(req.userId);
+    user.aiProvider = provider;
+    await user.save();
+    
+    res.status(200).json({
+      success: true,
+      message: 'AI provider updated successfully!',
+      user: user.toSafeObject(),
+    });
+    
+  } catch (error) {
+    console.error('Update AI provider error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating AI provider.',
+    });
+  }
+};
+
+/**
+ * UPDATE BOT COMMANDS - Enable/disable in-WhatsApp commands or change their prefix
+ * PUT /api/auth/bot-commands
+ * Body: { enabled?, prefix? }
+ * Requires authentication
+ */
+const updateBotCommands = async (req, res) => {
+  try {
+    const { enabled, prefix } = req.body;
+    
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'Enabled must be true or false.',
+      });
+    }
+    
+    if (prefix !== undefined && (typeof prefix !== 'string' || !/^\S{1,3}$/.test(prefix))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Prefix must be 1-3 characters without spaces.',
+      });
+    }
+    
+    const user = await User.findById(req.userId);
+    if (enabled !== undefined) user.botCommands.enabled = enabled;
+    if (prefix !== undefined) user.botCommands.prefix = prefix;
+    await user.save();
+    
+    res.status(200).json({
+      success: true,
+      message: 'Bot command settings updated successfully!',
+      user: user.toSafeObject(),
+    });
+    
+  } catch (error) {
+    console.error('Update bot commands error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating bot command settings.',
+    });
+  }
+};
+
+/**
+ * UPDATE HISTORY SYNC - Opt in to importing existing chat history
+ * PUT /api/auth/history-sync
+ * Body: { enabled?, lookbackHours?, maxPerChat? }
+ * Requires authentication
+ *
+ * History is sent by WhatsApp when the device is linked, so changes apply
+ * to the next connection.
+ */
+const updateHistorySync = async (req, res) => {
+  try {
+    const { enabled, lookbackHours, maxPerChat } = req.body;
+    
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'Enabled must be true or false.',
+      });
+    }
+    
+    if (lookbackHours !== undefined && (!Number.isInteger(lookbackHours) || lookbackHours < 1 || lookbackHours > 720)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Lookback must be a whole number of hours between 1 and 720.',
+      });
+    }
+    
+    if (maxPerChat !== undefined && (!Number.isInteger(maxPerChat) || maxPerChat < 1 || maxPerChat > 1000)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Per-chat cap must be a whole number between 1 and 1000.',
+      });
+    }
+    
+    const user = await User.findById(req.userId);
+    if (enabled !== undefined) user.historySync.enabled = enabled;
+    if (lookbackHours !== undefined) user.historySync.lookbackHours = lookbackHours;
+    if (maxPerChat !== undefined) user.historySync.maxPerChat = maxPerChat;
+    await user.save();
+    
+    res.status(200).json({
+      success: true,
+      message: 'History sync settings updated successfully!',
+      user: user.toSafeObject(),
+    });
+    
+  } catch (error) {
+    console.error('Update history sync error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating history sync settings.',
+    });
+  }
+};
+
+/**
+ * UPDATE RETENTION - Change how long messages are kept
+ * PUT /api/auth/retention
+ * Body: { hours } (null = deployment default)
+ * Requires authentication
+ *
+ * Stored messages are re-dated, except in chats with their own setting.
+ */
+const updateRetention = async (req, res) => {
+  try {
+    const { hours = null } = req.body;
+    
+    if (hours !== null && !retentionService.isValidRetention(hours)) {
+      const { min, max } = retentionService.RETENTION_LIMITS;
+      return res.status(400).json({
+        success: false,
+        message: `Hours must be a whole number between ${min} and ${max}, or null for the default.`,
+      });
+    }
+    
+    const { user, updatedMessages } = await retentionService.setUserRetention(req.userId, hours);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Retention updated successfully!',
+      user: user.toSafeObject(),
+      updatedMessages,
+    });
+    
+  } catch (error) {
+    console.error('Update retention error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating retention.',
+    });
+  }
+};
+
+/**
+ * Check that a value is a list of chat IDs
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for an array of strings
+ */
+const isChatIdList = (value) => {
+  return Array.isArray(value) && value.every(id => typeof id === 'string' && id.length > 0);
+};
+
+/**
+ * UPDATE PRIVACY - Choose which chats are stored (and summarized)
+ * PUT /api/auth/privacy
+ * Body: { mode?, allowChats?, blockChats?, blockDirect?, blockGroups? }
+ * Requires authentication
+ *
+ * Applies to new messages right away; already-stored messages from newly
+ * excluded chats are hidden, and deleted by POST /api/auth/privacy/purge.
+ */
+const updatePrivacy = async (req, res) => {
+  try {
+    const { mode, allowChats, blockChats, blockDirect, blockGroups } = req.body;
+    
+    if (mode !== undefined && !privacyService.INGESTION_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: `Mode must be one of: ${privacyService.INGESTION_MODES.join(', ')}`,
+      });
+    }
+    
+    if ((allowChats !== undefined && !isChatIdList(allowChats)) || (blockChats !== undefined && !isChatIdList(blockChats))) {
+      return res.status(400).json({
+        success: false,
+        message: 'allowChats and blockChats must be arrays of chat IDs.',
+      });
+    }
+    
+    if ((blockDirect !== undefined && typeof blockDirect !== 'boolean') || (blockGroups !== undefined && typeof blockGroups !== 'boolean')) {
+      return res.status(400).json({
+        success: false,
+        message: 'blockDirect and blockGroups must be true or false.',
+      });
+    }
+    
+    const user = await User.findById(req.userId);
+    if (mode !== undefined) user.ingestion.mode = mode;
+    if (allowChats !== undefined) user.ingestion.allowChats = [...new Set(allowChats)];
+    if (blockChats !== undefined) user.ingestion.blockChats = [...new Set(blockChats)];
+    if (blockDirect !== undefined) user.ingestion.blockDirect = blockDirect;
+    if (blockGroups !== undefined) user.ingestion.blockGroups = blockGroups;
+    await user.save();
+    
+    res.status(200).json({
+      success: true,
+      message: 'Privacy settings updated successfully!',
+      user: user.toSafeObject(),
+    });
+    
+  } catch (error) {
+    console.error('Update privacy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating privacy settings.',
+    });
+  }
+};
+
+/**
+ * PURGE EXCLUDED CHATS - Delete stored data of chats the privacy settings exclude
+ * POST /api/auth/privacy/purge
+ * Requires authentication
+ */
+const purgeExcludedChats = async (req, res) => {
+  try {
+    const deleted = await privacyService.purgeExcludedChats(req.userId);
+    
+    res.status(200).json({
+      success: true,
+      message: deleted.chats > 0
+        ? `Deleted stored data of ${deleted.chats} excluded chat(s).`
+        : 'No stored data from excluded chats.',
+      deleted,
+    });
+    
+  } catch (error) {
+    console.error('Purge excluded chats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error purging excluded chats.',
+    });
+  }
+};
+
 /**
  * LOGOUT - Clear session (client-side token removal)
  * POST /api/auth/logout
@@ -245,5 +513,11 @@ module.exports = {
   login,
   getCurrentUser,
   updatePhoneNumber,
+  updateAIProvider,
+  updateBotCommands,
+  updateHistorySync,
+  updateRetention,
+  updatePrivacy,
+  purgeExcludedChats,
   logout,
 };
\ No newline at end of file
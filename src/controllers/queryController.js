@@ -6,6 +6,25 @@
 const messageService = require("../services/messageService");
 const aiService = require("../services/aiService");
 const whatsappService = require("../services/whatsappService");
+const summaryService = require("../services/summaryService");
+const conversationService = require("../services/conversationService");
+const digestService = require("../services/digestService");
+const contactService = require("../services/contactService");
+const retentionService = require("../services/retentionService");
+const { openEventStream } = require("../utils/sse");
+
+/**
+ * Describe a chat's retention for API responses
+ * @param {Object} policy - See retentionService.resolvePolicy
+ * @param {Date|null} nextExpiry - When the chat's oldest stored message expires
+ * @returns {Object} - { hours, pinned, source, nextExpiry }
+ */
+const formatRetention = (policy, nextExpiry) => ({
+  hours: policy.hours,
+  pinned: policy.pinned,
+  source: policy.source,
+  nextExpiry: nextExpiry ? new Date(nextExpiry).toLocaleString() : null,
+});
 
 /**
  * GET RECENT CHATS - Get top 10 most active chats (for dashboard)
@@ -29,13 +48,16 @@ const getRecentChats = async (req, res) => {
     const chats = await messageService.getUserChats(userId);
 
     // Format and return top N most active chats
-    const results = chats.slice(0, limit).map((c) => ({
+    const top = chats.slice(0, limit);
+    const policies = await retentionService.getPolicies(userId, top.map((c) => c.chatId));
+    const results = top.map((c) => ({
       chatId: c.chatId,
-      chatName: c.chatId.split("@")[0],
+      chatName: c.chatName,
       messageCount: c.messageCount,
       lastMessage: c.lastMessage
         ? new Date(c.lastMessage * 1000).toLocaleString()
         : null,
+      retention: formatRetention(policies.get(c.chatId), c.nextExpiry),
     }));
 
     res.status(200).json({
@@ -52,16 +74,283 @@ const getRecentChats = async (req, res) => {
   }
 };
 
+// Summary modes: whole stored window, or only messages since the last summary
+const SUMMARY_MODES = ["full", "incremental"];
+
+// Extra analyses that can be included with a summary
+const SUMMARY_INCLUDES = ["topics", "sentiment"];
+
+/**
+ * Parse a "since" value (Unix timestamp in seconds or ISO date string)
+ * @param {number|string} value - Value from the request body
+ * @returns {number} - Unix timestamp in seconds (NaN if invalid)
+ */
+const parseSince = (value) => {
+  if (typeof value === "number") {
+    return value;
+  }
+  return Math.floor(Date.parse(value) / 1000);
+};
+
+/**
+ * Validate the optional summary options from the request body
+ * @param {Object} body - { format?, mode?, since?, include? }
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateSummaryOptions = ({ format, mode, since, include }) => {
+  if (format !== undefined && !aiService.SUMMARY_FORMATS.includes(format)) {
+    return `Format must be one of: ${aiService.SUMMARY_FORMATS.join(", ")}`;
+  }
+
+  if (mode !== undefined && !SUMMARY_MODES.includes(mode)) {
+    return `Mode must be one of: ${SUMMARY_MODES.join(", ")}`;
+  }
+
+  if (since !== undefined && Number.isNaN(parseSince(since))) {
+    return "Since must be a Unix timestamp or an ISO date";
+  }
+
+  if (include !== undefined && (!Array.isArray(include) || include.some((i) => !SUMMARY_INCLUDES.includes(i)))) {
+    return `Include must be an array of: ${SUMMARY_INCLUDES.join(", ")}`;
+  }
+
+  return null;
+};
+
+/**
+ * Get the date range covered by a list of messages
+ * @param {Array} messages - Messages (any order)
+ * @returns {Object} - { from, to } as locale date strings
+ */
+const getTimeRange = (messages) => {
+  const timestamps = messages.map((m) => m.timestamp * 1000);
+
+  return {
+    from: new Date(Math.min(...timestamps)).toLocaleDateString(),
+    to: new Date(Math.max(...timestamps)).toLocaleDateString(),
+  };
+};
+
+/**
+ * Format a sentiment analysis for API responses (readable bucket times)
+ * @param {Object|null} sentiment - Result of aiService.analyzeSentiment
+ * @returns {Object|null} - Client-facing sentiment
+ */
+const formatSentiment = (sentiment) => {
+  if (!sentiment) {
+    return null;
+  }
+
+  return {
+    ...sentiment,
+    timeline: sentiment.timeline.map((bucket) => ({
+      ...bucket,
+      from: new Date(bucket.from * 1000).toLocaleString(),
+      to: new Date(bucket.to * 1000).toLocaleString(),
+    })),
+  };
+};
+
+/**
+ * Run the extra analyses requested alongside a summary
+ * @param {Object} req - Express request (for provider override)
+ * @param {Array} messages - Messages sorted oldest first
+ * @param {Array<string>} include - Subset of SUMMARY_INCLUDES
+ * @param {Object|null} events - Open SSE stream, if streaming
+ * @returns {Promise<Object>} - { topics?, sentiment? }
+ */
+const getInsights = async (req, messages, include = [], events = null) => {
+  // A closed stream cancels the remaining generation
+  const options = { provider: req.user.aiProvider, signal: events?.signal };
+  const insights = {};
+
+  if (include.includes("topics")) {
+    events?.send("progress", { stage: "topics" });
+    insights.topics = await aiService.extractTopics(messages, options);
+  }
+
+  if (include.includes("sentiment") && !events?.signal.aborted) {
+    events?.send("progress", { stage: "sentiment" });
+    insights.sentiment = formatSentiment(await aiService.analyzeSentiment(messages, options));
+  }
+
+  return insights;
+};
+
+/**
+ * Load the messages to summarize for the requested mode.
+ * Incremental mode only covers messages after the supplied timestamp or the
+ * user's "last summarized" marker, and picks up the previous summary as context.
+ * @param {string} userId - User ID
+ * @param {string} chatId - Chat ID
+ * @param {Object} options - { mode?, since? }
+ * @returns {Promise<Object>} - { messages, since, previousSummary }
+ */
+const loadSummaryWindow = async (userId, chatId, { mode = "full", since }) => {
+  if (mode !== "incremental") {
+    const messages = await messageService.getChatMessages(userId, chatId, 500);
+    return { messages, since: null, previousSummary: null };
+  }
+
+  let sinceTimestamp = since !== undefined ? parseSince(since) : null;
+
+  if (sinceTimestamp === null) {
+    const marker = await summaryService.getMarker(userId, chatId);
+    sinceTimestamp = marker ? marker.lastTimestamp : null;
+  }
+
+  // Never summarized and no timestamp given - behaves like a full summary
+  if (sinceTimestamp === null) {
+    const messages = await messageService.getChatMessages(userId, chatId, 500);
+    return { messages, since: null, previousSummary: null };
+  }
+
+  const [messages, previousSummary] = await Promise.all([
+    messageService.getChatMessages(userId, chatId, 500, { since: sinceTimestamp }),
+    summaryService.getPreviousSummary(userId, chatId, sinceTimestamp),
+  ]);
+
+  return { messages, since: sinceTimestamp, previousSummary };
+};
+
+/**
+ * Summarize messages, reusing a stored summary for an unchanged message window,
+ * and move the user's "last summarized" marker for the chat
+ * @param {Object} req - Express request (for user and provider override)
+ * @param {string} chatId - Chat ID
+ * @param {string} chatName - Chat display name
+ * @param {Array} messages - Messages sorted oldest first
+ * @param {Object} options - { format?, refresh?, mode?, previousSummary?, events? }
+ *   events: open SSE stream to report progress and tokens on
+ * @returns {Promise<Object>} - { summary, structured, chunkCount, cached, summaryId, aborted? }
+ */
+const getOrCreateSummary = async (
+  req, chatId, chatName, messages,
+  { format = "markdown", refresh = false, mode = "full", previousSummary = null, events = null }
+) => {
+  const userId = req.userId;
+  const provider = aiService.resolveProviderName(req.user.aiProvider);
+  const range = summaryService.getRange(messages);
+  const cacheKey = summaryService.buildCacheKey({
+    chatId,
+    range,
+    revision: summaryService.getRevision(messages),
+    promptVersion: aiService.PROMPT_VERSION,
+    provider,
+    format,
+    mode,
+    previousSummaryId: previousSummary?._id?.toString(),
+  });
+
+  // Reuse the stored summary unless the client asks for a fresh one
+  if (!refresh) {
+    const cached = await summaryService.findCachedSummary(userId, cacheKey);
+    if (cached) {
+      await summaryService.updateMarker(userId, chatId, range, cached._id);
+      return { ...cached.result, cached: true, summaryId: cached._id };
+    }
+  }
+
+  const result = await aiService.summarizeMessages(messages, {
+    provider,
+    format,
+    previousSummary: previousSummary?.result.summary,
+    ...(events && {
+      signal: events.signal,
+      onProgress: (progress) => events.send("progress", progress),
+      onToken: (text) => events.send("token", { text }),
+    }),
+  });
+
+  // Don't keep (or cache) provider errors or cancelled generations
+  if (result.failed) {
+    return {
+      summary: result.summary,
+      structured: null,
+      chunkCount: 0,
+      cached: false,
+      summaryId: null,
+      aborted: Boolean(result.aborted),
+    };
+  }
+
+  const saved = await summaryService.saveSummary({
+    userId,
+    chatId,
+    chatName,
+    range,
+    promptVersion: aiService.PROMPT_VERSION,
+    provider,
+    format,
+    mode,
+    previousSummaryId: previousSummary?._id || null,
+    result: {
+      summary: result.summary,
+      structured: result.structured,
+      chunkCount: result.chunkCount,
+    },
+    cacheKey,
+  });
+
+  await summaryService.updateMarker(userId, chatId, range, saved?._id || null);
+
+  return {
+    summary: result.summary,
+    structured: result.structured,
+    chunkCount: result.chunkCount,
+    cached: false,
+    summaryId: saved?._id || null,
+  };
+};
+
+/**
+ * Send the final result as JSON, or as the closing "done" event of an SSE stream
+ * @param {Object} res - Express response
+ * @param {Object|null} events - Open SSE stream, if streaming
+ * @param {Object} body - Response body
+ */
+const sendResult = (res, events, body) => {
+  if (events) {
+    events.send("done", body);
+    events.close();
+    return;
+  }
+
+  res.status(200).json(body);
+};
+
+/**
+ * Report an unexpected error as JSON, or as an "error" event if streaming already started
+ * @param {Object} res - Express response
+ * @param {Object|null} events - Open SSE stream, if streaming
+ * @param {string} message - Client-facing message
+ */
+const sendError = (res, events, message) => {
+  if (events) {
+    events.send("error", { success: false, message });
+    events.close();
+    return;
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+  });
+};
+
 /**
  * QUERY CHAT - Search and summarize chat by name
  * POST /api/query
- * Body: { query }
+ * POST /api/query/stream (SSE: progress/token events, then "done")
+ * Body: { query, format?, refresh?, mode?, since?, include? }
  * Requires authentication
  */
-const queryChat = async (req, res) => {
+const handleQueryChat = async (req, res, { stream }) => {
+  let events = null;
+
   try {
     const userId = req.userId;
-    const {query} = req.body;
+    const {query, format, refresh, mode, since, include} = req.body;
 
     // Validate input
     if (!query || query.trim().length === 0) {
@@ -71,6 +360,14 @@ const queryChat = async (req, res) => {
       });
     }
 
+    const optionsError = validateSummaryOptions(req.body);
+    if (optionsError) {
+      return res.status(400).json({
+        success: false,
+        message: optionsError,
+      });
+    }
+
     // Check if user is connected to WhatsApp
     if (!whatsappService.isConnected(userId)) {
       return res.status(400).json({
@@ -92,55 +389,86 @@ const queryChat = async (req, res) => {
     // Get top match
     const topMatch = matchingChats[0];
     const chatId = topMatch.chatId;
-    const chatName = chatId.split("@")[0];
+    const chatName = topMatch.chatName;
 
-    // Get messages from this chat
-    const messages = await messageService.getChatMessages(userId, chatId, 500);
+    // Get messages from this chat (only new ones in incremental mode)
+    const chatWindow = await loadSummaryWindow(userId, chatId, { mode, since });
+    const messages = chatWindow.messages;
 
-    if (messages.length === 0) {
+    if (messages.length === 0 && chatWindow.since === null) {
       return res.status(404).json({
         success: false,
         message: `Chat "${chatName}" found but no messages available.`,
       });
     }
 
-    // Generate AI summary
-    const summary = await aiService.summarizeMessages(messages);
+    if (stream) {
+      events = openEventStream(res);
+    }
+
+    if (messages.length === 0) {
+      return sendResult(res, events, {
+        success: true,
+        found: true,
+        chat: { chatId, chatName, messageCount: 0 },
+        mode: "incremental",
+        since: new Date(chatWindow.since * 1000).toLocaleString(),
+        summary: null,
+        message: `No new messages in "${chatName}" since your last summary.`,
+      });
+    }
+
+    // Generate AI summary (or reuse a cached one)
+    const summaryMode = chatWindow.since !== null ? "incremental" : "full";
+    const { summary, structured, chunkCount, cached, summaryId, aborted } = await getOrCreateSummary(
+      req, chatId, chatName, messages,
+      { format, refresh, mode: summaryMode, previousSummary: chatWindow.previousSummary, events }
+    );
+
+    // Client disconnected mid-stream - nothing left to send
+    if (aborted) {
+      return;
+    }
 
-    // Get time range
-    const timestamps = messages.map((m) => m.timestamp * 1000);
-    const oldestDate = new Date(Math.min(...timestamps)).toLocaleDateString();
-    const newestDate = new Date(Math.max(...timestamps)).toLocaleDateString();
+    // Topics / sentiment, if requested
+    const insights = await getInsights(req, messages, include, events);
+    if (events?.signal.aborted) {
+      return;
+    }
 
     // Return results
-    res.status(200).json({
+    sendResult(res, events, {
       success: true,
       found: true,
       chat: {
         chatId,
         chatName,
         messageCount: messages.length,
-        timeRange: {
-          from: oldestDate,
-          to: newestDate,
-        },
+        timeRange: getTimeRange(messages),
       },
+      mode: summaryMode,
+      ...(chatWindow.since !== null && { since: new Date(chatWindow.since * 1000).toLocaleString() }),
       summary,
+      ...(structured && { structured }),
+      chunkCount,
+      ...insights,
+      cached,
+      summaryId,
       otherMatches: matchingChats.slice(1, 4).map((c) => ({
         chatId: c.chatId,
-        chatName: c.chatId.split("@")[0],
+        chatName: c.chatName,
         messageCount: c.messageCount,
       })),
     });
   } catch (error) {
     console.error("Query error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Error processing query",
-    });
+    sendError(res, events, "Error processing query");
   }
 };
 
+const queryChat = (req, res) => handleQueryChat(req, res, { stream: false });
+const queryChatStream = (req, res) => handleQueryChat(req, res, { stream: true });
+
 /**
  * GET ALL CHATS - List all user's chats
  * GET /api/query/chats
@@ -162,13 +490,15 @@ const getAllChats = async (req, res) => {
     const chats = await messageService.getUserChats(userId);
 
     // Format response
+    const policies = await retentionService.getPolicies(userId, chats.map((chat) => chat.chatId));
     const formattedChats = chats.map((chat) => ({
       chatId: chat.chatId,
-      chatName: chat.chatId.split("@")[0],
+      chatName: chat.chatName,
       messageCount: chat.messageCount,
       lastMessage: chat.lastMessage
         ? new Date(chat.lastMessage * 1000).toLocaleString()
         : null,
+      retention: formatRetention(policies.get(chat.chatId), chat.nextExpiry),
     }));
 
     res.status(200).json({
@@ -188,6 +518,7 @@ const getAllChats = async (req, res) => {
 /**
  * GET SPECIFIC CHAT - Get messages from a specific chat
  * GET /api/query/chats/:chatId
+ * Query: ?view=thread also nests replies under the messages they quote
  * Requires authentication
  */
 const getChat = async (req, res) => {
@@ -217,16 +548,25 @@ const getChat = async (req, res) => {
     const formattedMessages = messages.map((msg) => ({
       messageId: msg.messageId,
       sender: msg.sender,
+      fromMe: Boolean(msg.fromMe),
+      type: msg.type || "text",
       content: msg.content,
+      ...(msg.media && { media: msg.media }),
+      ...(msg.replyTo?.messageId && { replyTo: msg.replyTo }),
+      ...(msg.edits?.length > 0 && { edited: true, edits: msg.edits }),
+      ...(msg.reactions?.length > 0 && { reactions: msg.reactions }),
       timestamp: new Date(msg.timestamp * 1000).toLocaleString(),
     }));
 
     res.status(200).json({
       success: true,
       chatId,
-      chatName: chatId.split("@")[0],
+      chatName: await contactService.getChatName(userId, chatId, messages[0].chatName),
       messageCount: messages.length,
       messages: formattedMessages,
+      ...(req.query.view === "thread" && {
+        threads: messageService.buildThreads(formattedMessages),
+      }),
     });
   } catch (error) {
     console.error("Get chat error:", error);
@@ -237,15 +577,110 @@ const getChat = async (req, res) => {
   }
 };
 
+/**
+ * GET CHAT RETENTION - How long a chat's messages are kept
+ * GET /api/query/chats/:chatId/retention
+ * Requires authentication
+ */
+const getChatRetention = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const {chatId} = req.params;
+
+    const [policy, nextExpiry] = await Promise.all([
+      retentionService.getPolicy(userId, chatId),
+      retentionService.getNextExpiry(userId, chatId),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      chatId,
+      retention: formatRetention(policy, nextExpiry),
+    });
+  } catch (error) {
+    console.error("Get chat retention error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching chat retention",
+    });
+  }
+};
+
+/**
+ * UPDATE CHAT RETENTION - Keep a chat's messages longer/shorter, or pin it
+ * PUT /api/query/chats/:chatId/retention
+ * Body: { hours?: number | null, pinned?: boolean }
+ * Requires authentication
+ */
+const updateChatRetention = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const {chatId} = req.params;
+    const {hours, pinned} = req.body;
+
+    if (hours === undefined && pinned === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "Provide hours and/or pinned",
+      });
+    }
+
+    if (hours !== undefined && hours !== null && !retentionService.isValidRetention(hours)) {
+      const {min, max} = retentionService.RETENTION_LIMITS;
+      return res.status(400).json({
+        success: false,
+        message: `Hours must be a whole number between ${min} and ${max}, or null to use your default`,
+      });
+    }
+
+    if (pinned !== undefined && typeof pinned !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        message: "Pinned must be true or false",
+      });
+    }
+
+    const {policy, updatedMessages} = await retentionService.setChatRetention(userId, chatId, {hours, pinned});
+    const nextExpiry = await retentionService.getNextExpiry(userId, chatId);
+
+    res.status(200).json({
+      success: true,
+      message: "Chat retention updated",
+      chatId,
+      retention: formatRetention(policy, nextExpiry),
+      updatedMessages,
+    });
+  } catch (error) {
+    console.error("Update chat retention error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating chat retention",
+    });
+  }
+};
+
 /**
  * SUMMARIZE SPECIFIC CHAT - Get AI summary of a specific chat
  * POST /api/query/summarize/:chatId
+ * POST /api/query/summarize/:chatId/stream (SSE: progress/token events, then "done")
+ * Body: { format?, refresh?, mode?, since?, include? }
  * Requires authentication
  */
-const summarizeChat = async (req, res) => {
+const handleSummarizeChat = async (req, res, { stream }) => {
+  let events = null;
+
   try {
     const userId = req.userId;
     const {chatId} = req.params;
+    const {format, refresh, mode, since, include} = req.body;
+
+    const optionsError = validateSummaryOptions(req.body);
+    if (optionsError) {
+      return res.status(400).json({
+        success: false,
+        message: optionsError,
+      });
+    }
 
     // Check if connected
     if (!whatsappService.isConnected(userId)) {
@@ -255,40 +690,394 @@ const summarizeChat = async (req, res) => {
       });
     }
 
-    // Get messages
-    const messages = await messageService.getChatMessages(userId, chatId, 500);
+    // Get messages (only new ones in incremental mode)
+    const chatName = await contactService.getChatName(userId, chatId);
+    const chatWindow = await loadSummaryWindow(userId, chatId, { mode, since });
+    const messages = chatWindow.messages;
 
-    if (messages.length === 0) {
+    if (messages.length === 0 && chatWindow.since === null) {
       return res.status(404).json({
         success: false,
         message: "No messages found in this chat",
       });
     }
 
-    // Generate summary
-    const summary = await aiService.summarizeMessages(messages);
+    if (stream) {
+      events = openEventStream(res);
+    }
 
-    // Get time range
-    const timestamps = messages.map((m) => m.timestamp * 1000);
-    const oldestDate = new Date(Math.min(...timestamps)).toLocaleDateString();
-    const newestDate = new Date(Math.max(...timestamps)).toLocaleDateString();
+    if (messages.length === 0) {
+      return sendResult(res, events, {
+        success: true,
+        chatId,
+        chatName,
+        messageCount: 0,
+        mode: "incremental",
+        since: new Date(chatWindow.since * 1000).toLocaleString(),
+        summary: null,
+        message: "No new messages since your last summary",
+      });
+    }
 
-    res.status(200).json({
+    // Generate summary (or reuse a cached one)
+    const summaryMode = chatWindow.since !== null ? "incremental" : "full";
+    const { summary, structured, chunkCount, cached, summaryId, aborted } = await getOrCreateSummary(
+      req, chatId, chatName, messages,
+      { format, refresh, mode: summaryMode, previousSummary: chatWindow.previousSummary, events }
+    );
+
+    // Client disconnected mid-stream - nothing left to send
+    if (aborted) {
+      return;
+    }
+
+    // Topics / sentiment, if requested
+    const insights = await getInsights(req, messages, include, events);
+    if (events?.signal.aborted) {
+      return;
+    }
+
+    sendResult(res, events, {
       success: true,
       chatId,
-      chatName: chatId.split("@")[0],
+      chatName,
       messageCount: messages.length,
-      timeRange: {
-        from: oldestDate,
-        to: newestDate,
-      },
+      timeRange: getTimeRange(messages),
+      mode: summaryMode,
+      ...(chatWindow.since !== null && { since: new Date(chatWindow.since * 1000).toLocaleString() }),
       summary,
+      ...(structured && { structured }),
+      chunkCount,
+      ...insights,
+      cached,
+      summaryId,
     });
   } catch (error) {
     console.error("Summarize chat error:", error);
+    sendError(res, events, "Error generating summary");
+  }
+};
+
+const summarizeChat = (req, res) => handleSummarizeChat(req, res, { stream: false });
+const summarizeChatStream = (req, res) => handleSummarizeChat(req, res, { stream: true });
+
+/**
+ * Load a chat's messages for a standalone analysis, responding with an error if unavailable
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Array|null>} - Messages, or null if a response was already sent
+ */
+const loadChatForAnalysis = async (req, res) => {
+  const userId = req.userId;
+  const {chatId} = req.params;
+
+  // Check if connected
+  if (!whatsappService.isConnected(userId)) {
+    res.status(400).json({
+      success: false,
+      message: "Please connect to WhatsApp first",
+    });
+    return null;
+  }
+
+  const messages = await messageService.getChatMessages(userId, chatId, 500);
+
+  if (messages.length === 0) {
+    res.status(404).json({
+      success: false,
+      message: "No messages found in this chat",
+    });
+    return null;
+  }
+
+  return messages;
+};
+
+/**
+ * EXTRACT TOPICS - Get the main topics of a specific chat
+ * POST /api/query/topics/:chatId
+ * Requires authentication
+ */
+const getChatTopics = async (req, res) => {
+  try {
+    const {chatId} = req.params;
+
+    const messages = await loadChatForAnalysis(req, res);
+    if (!messages) {
+      return;
+    }
+
+    const topics = await aiService.extractTopics(messages, {
+      provider: req.user.aiProvider,
+    });
+
+    res.status(200).json({
+      success: true,
+      chatId,
+      chatName: await contactService.getChatName(req.userId, chatId, messages[0].chatName),
+      messageCount: messages.length,
+      timeRange: getTimeRange(messages),
+      topics,
+    });
+  } catch (error) {
+    console.error("Extract topics error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error extracting topics",
+    });
+  }
+};
+
+/**
+ * ANALYZE SENTIMENT - Sentiment of a chat overall, per participant and over time
+ * POST /api/query/sentiment/:chatId
+ * Body: { bucketMinutes? } (timeline bucket size, picked automatically if omitted)
+ * Requires authentication
+ */
+const getChatSentiment = async (req, res) => {
+  try {
+    const {chatId} = req.params;
+    const {bucketMinutes} = req.body;
+
+    if (bucketMinutes !== undefined && (!Number.isInteger(bucketMinutes) || bucketMinutes <= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: "bucketMinutes must be a positive integer",
+      });
+    }
+
+    const messages = await loadChatForAnalysis(req, res);
+    if (!messages) {
+      return;
+    }
+
+    const sentiment = await aiService.analyzeSentiment(messages, {
+      provider: req.user.aiProvider,
+      bucketMinutes,
+    });
+
+    if (!sentiment) {
+      return res.status(502).json({
+        success: false,
+        message: "AI provider could not analyze sentiment. Please try again.",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      chatId,
+      chatName: await contactService.getChatName(req.userId, chatId, messages[0].chatName),
+      messageCount: messages.length,
+      timeRange: getTimeRange(messages),
+      sentiment: formatSentiment(sentiment),
+    });
+  } catch (error) {
+    console.error("Analyze sentiment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error analyzing sentiment",
+    });
+  }
+};
+
+/**
+ * ASK CHAT - Answer a question about a chat, citing the messages used
+ * POST /api/query/ask/:chatId
+ * Body: { question, conversationId? } (conversationId continues an earlier thread)
+ * Requires authentication
+ */
+const askChat = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const {chatId} = req.params;
+    const {question, conversationId} = req.body;
+
+    if (typeof question !== "string" || question.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Question is required",
+      });
+    }
+
+    // Follow-up question: load the earlier turns
+    let conversation = null;
+    if (conversationId) {
+      conversation = await conversationService.getConversation(userId, chatId, conversationId);
+
+      if (!conversation) {
+        return res.status(404).json({
+          success: false,
+          message: "Conversation not found for this chat",
+        });
+      }
+    }
+
+    const messages = await loadChatForAnalysis(req, res);
+    if (!messages) {
+      return;
+    }
+
+    const result = await aiService.answerQuestion(question.trim(), messages, {
+      provider: req.user.aiProvider,
+      history: conversation ? conversation.turns : [],
+    });
+
+    if (result.failed) {
+      return res.status(502).json({
+        success: false,
+        message: result.answer,
+      });
+    }
+
+    const saved = await conversationService.addTurn(userId, chatId, conversation?._id, {
+      question: question.trim(),
+      answer: result.answer,
+      citations: result.citations.map((msg) => msg.messageId),
+    });
+
+    res.status(200).json({
+      success: true,
+      conversationId: saved ? saved._id : null,
+      chatId,
+      chatName: await contactService.getChatName(req.userId, chatId, messages[0].chatName),
+      question: question.trim(),
+      answer: result.answer,
+      citations: result.citations.map((msg) => ({
+        messageId: msg.messageId,
+        sender: msg.sender,
+        timestamp: new Date(msg.timestamp * 1000).toLocaleString(),
+        content: aiService.describeContent(msg),
+      })),
+      retrievedCount: result.retrievedCount,
+    });
+  } catch (error) {
+    console.error("Ask chat error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error answering question",
+    });
+  }
+};
+
+/**
+ * DAILY DIGEST - One briefing across all chats active in a time window
+ * POST /api/query/digest
+ * Body: { hours?, maxChats? } (defaults: last 24 hours, top 10 chats)
+ * Requires authentication
+ */
+const getDigest = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const {hours = 24, maxChats = 10} = req.body;
+
+    if (!Number.isInteger(hours) || hours < 1 || hours > 168) {
+      return res.status(400).json({
+        success: false,
+        message: "hours must be an integer between 1 and 168",
+      });
+    }
+
+    if (!Number.isInteger(maxChats) || maxChats < 1 || maxChats > 25) {
+      return res.status(400).json({
+        success: false,
+        message: "maxChats must be an integer between 1 and 25",
+      });
+    }
+
+    // Check if connected
+    if (!whatsappService.isConnected(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Please connect to WhatsApp first",
+      });
+    }
+
+    const since = Math.floor(Date.now() / 1000) - hours * 60 * 60;
+    const digest = await digestService.buildDigest(userId, {
+      since,
+      maxChats,
+      provider: req.user.aiProvider,
+    });
+
+    res.status(200).json({
+      success: true,
+      since: new Date(since * 1000).toLocaleString(),
+      activeChatCount: digest.activeChatCount,
+      chatCount: digest.chats.length,
+      messageCount: digest.chats.reduce((sum, chat) => sum + chat.messageCount, 0),
+      digest: digest.digest,
+      chats: digest.chats,
+      actionItems: digest.actionItems,
+    });
+  } catch (error) {
+    console.error("Build digest error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error building digest",
+    });
+  }
+};
+
+/**
+ * Format a stored summary for API responses
+ * @param {Object} doc - Summary document (lean)
+ * @returns {Object} - Client-facing summary
+ */
+const formatSummary = (doc) => ({
+  summaryId: doc._id,
+  chatId: doc.chatId,
+  chatName: doc.chatName,
+  messageCount: doc.range.messageCount,
+  range: {
+    firstMessageId: doc.range.firstMessageId,
+    lastMessageId: doc.range.lastMessageId,
+    from: new Date(doc.range.from * 1000).toLocaleString(),
+    to: new Date(doc.range.to * 1000).toLocaleString(),
+  },
+  provider: doc.provider,
+  promptVersion: doc.promptVersion,
+  format: doc.format,
+  mode: doc.mode,
+  previousSummaryId: doc.previousSummaryId,
+  summary: doc.result.summary,
+  ...(doc.result.structured && { structured: doc.result.structured }),
+  chunkCount: doc.result.chunkCount,
+  createdAt: doc.createdAt,
+});
+
+/**
+ * GET SUMMARIES - Browse summary history across all chats
+ * GET /api/query/summaries
+ * GET /api/query/summaries/:chatId
+ * Query: ?limit=20&page=1
+ * Requires authentication
+ */
+const getSummaries = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const {chatId} = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    const { summaries, total } = await summaryService.getSummaries(userId, {
+      chatId,
+      limit,
+      skip: (page - 1) * limit,
+    });
+
+    res.status(200).json({
+      success: true,
+      ...(chatId && { chatId }),
+      summaries: summaries.map(formatSummary),
+      total,
+      page,
+      limit,
+    });
+  } catch (error) {
+    console.error("Get summaries error:", error);
     res.status(500).json({
       success: false,
-      message: "Error generating summary",
+      message: "Error fetching summaries",
     });
   }
 };
@@ -296,7 +1085,16 @@ const summarizeChat = async (req, res) => {
 module.exports = {
   getRecentChats, // Added this
   queryChat,
+  queryChatStream,
   getAllChats,
   getChat,
+  getChatRetention,
+  updateChatRetention,
   summarizeChat,
+  summarizeChatStream,
+  getChatTopics,
+  getChatSentiment,
+  askChat,
+  getDigest,
+  getSummaries,
 };
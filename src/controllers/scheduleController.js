@@ -0,0 +1,259 @@
+// ============================================
+// SCHEDULE CONTROLLER
+// CRUD for scheduled digest/summary deliveries
+// ============================================
+
+const mongoose = require('mongoose');
+const scheduleService = require('../services/scheduleService');
+const { isValidTimeZone } = require('../utils/timezone');
+
+// Fields clients may set on a schedule
+const SCHEDULE_FIELDS = ['type', 'chatIds', 'time', 'timezone', 'days', 'hours', 'maxChats', 'enabled'];
+
+/**
+ * Pick the settable fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} - Schedule fields present in the body
+ */
+const pickScheduleFields = (body) => {
+  return Object.fromEntries(
+    SCHEDULE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+  );
+};
+
+/**
+ * Validate schedule fields that the model cannot check on its own
+ * @param {Object} fields - Merged schedule fields
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateSchedule = ({ type, chatIds, timezone, days }) => {
+  if (timezone !== undefined && !isValidTimeZone(timezone)) {
+    return 'Timezone must be an IANA timezone (e.g. "Europe/Berlin")';
+  }
+  
+  if (days !== undefined && (!Array.isArray(days) || days.some(day => !Number.isInteger(day) || day < 0 || day > 6))) {
+    return 'Days must be an array of weekdays (0 = Sunday ... 6 = Saturday)';
+  }
+  
+  if (chatIds !== undefined && (!Array.isArray(chatIds) || chatIds.some(id => typeof id !== 'string'))) {
+    return 'chatIds must be an array of chat IDs';
+  }
+  
+  if (type === 'summaries' && (!chatIds || chatIds.length === 0)) {
+    return 'Schedules of type "summaries" need at least one chat in chatIds';
+  }
+  
+  return null;
+};
+
+/**
+ * Format a schedule for API responses
+ * @param {Object} schedule - Schedule document
+ * @returns {Object} - Client-facing schedule
+ */
+const formatSchedule = (schedule) => ({
+  scheduleId: schedule._id,
+  type: schedule.type,
+  chatIds: schedule.chatIds,
+  time: schedule.time,
+  timezone: schedule.timezone,
+  days: schedule.days,
+  hours: schedule.hours,
+  maxChats: schedule.maxChats,
+  enabled: schedule.enabled,
+  nextRunAt: schedule.nextRunAt,
+  lastRunAt: schedule.lastRunAt,
+  lastStatus: schedule.lastStatus,
+  lastError: schedule.lastError,
+  createdAt: schedule.createdAt,
+});
+
+/**
+ * Respond with a 400 for Mongoose validation errors, 500 otherwise
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown while saving
+ * @param {string} message - Message for unexpected errors
+ */
+const sendSaveError = (res, error, message) => {
+  if (error instanceof mongoose.Error.ValidationError) {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map(e => e.message).join(', '),
+    });
+  }
+  
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+  });
+};
+
+/**
+ * LIST SCHEDULES - Get the user's delivery schedules
+ * GET /api/schedules
+ * Requires authentication
+ */
+const listSchedules = async (req, res) => {
+  try {
+    const schedules = await scheduleService.getSchedules(req.userId);
+    
+    res.status(200).json({
+      success: true,
+      schedules: schedules.map(formatSchedule),
+      total: schedules.length,
+    });
+  } catch (error) {
+    console.error('List schedules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching schedules',
+    });
+  }
+};
+
+/**
+ * CREATE SCHEDULE - Deliver a digest or chat summaries to the user's own WhatsApp
+ * POST /api/schedules
+ * Body: { time, timezone?, type?, chatIds?, days?, hours?, maxChats?, enabled? }
+ * Requires authentication
+ */
+const createSchedule = async (req, res) => {
+  try {
+    const fields = pickScheduleFields(req.body);
+    
+    if (!fields.time) {
+      return res.status(400).json({
+        success: false,
+        message: 'Time is required (e.g. "08:00")',
+      });
+    }
+    
+    const validationError = validateSchedule(fields);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError,
+      });
+    }
+    
+    const schedule = await scheduleService.createSchedule(req.userId, fields);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Schedule created',
+      schedule: formatSchedule(schedule),
+    });
+  } catch (error) {
+    sendSaveError(res, error, 'Error creating schedule');
+  }
+};
+
+/**
+ * GET SCHEDULE - Get one delivery schedule
+ * GET /api/schedules/:scheduleId
+ * Requires authentication
+ */
+const getSchedule = async (req, res) => {
+  try {
+    const schedule = await scheduleService.getSchedule(req.userId, req.params.scheduleId);
+    
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found',
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      schedule: formatSchedule(schedule),
+    });
+  } catch (error) {
+    console.error('Get schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching schedule',
+    });
+  }
+};
+
+/**
+ * UPDATE SCHEDULE - Change a delivery schedule (next run is recomputed)
+ * PUT /api/schedules/:scheduleId
+ * Body: any of { time, timezone, type, chatIds, days, hours, maxChats, enabled }
+ * Requires authentication
+ */
+const updateSchedule = async (req, res) => {
+  try {
+    const schedule = await scheduleService.getSchedule(req.userId, req.params.scheduleId);
+    
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found',
+      });
+    }
+    
+    const changes = pickScheduleFields(req.body);
+    const validationError = validateSchedule({
+      type: schedule.type,
+      chatIds: schedule.chatIds,
+      ...changes,
+    });
+    
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError,
+      });
+    }
+    
+    const updated = await scheduleService.updateSchedule(schedule, changes);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Schedule updated',
+      schedule: formatSchedule(updated),
+    });
+  } catch (error) {
+    sendSaveError(res, error, 'Error updating schedule');
+  }
+};
+
+/**
+ * DELETE SCHEDULE - Stop and remove a delivery schedule
+ * DELETE /api/schedules/:scheduleId
+ * Requires authentication
+ */
+const deleteSchedule = async (req, res) => {
+  try {
+    const deleted = await scheduleService.deleteSchedule(req.userId, req.params.scheduleId);
+    
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found',
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Schedule deleted',
+    });
+  } catch (error) {
+    console.error('Delete schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting schedule',
+    });
+  }
+};
+
+module.exports = {
+  listSchedules,
+  createSchedule,
+  getSchedule,
+  updateSchedule,
+  deleteSchedule,
+};
@@ -5,6 +5,12 @@
 
 const whatsappService = require('../services/whatsappService');
 const messageService = require('../services/messageService');
+const ingestionService = require('../services/ingestionService');
+const realtimeService = require('../services/realtimeService');
+const connectionEventService = require('../services/connectionEventService');
+const User = require('../models/User');
+const { openEventStream } = require('../utils/sse');
+const { normalizePhoneNumber } = require('../utils/phoneNumber');
 
 /**
  * CONNECT - Initialize WhatsApp connection
@@ -24,7 +30,7 @@ const connect = async (req, res) => {
       });
     }
     
-    // Check if connection exists but not yet connected (QR pending)
+    // Check if connection exists but not yet connected (QR or pairing code pending)
     const existingConnection = whatsappService.getConnection(userId);
     if (existingConnection) {
       return res.status(200).json({
@@ -32,6 +38,7 @@ const connect = async (req, res) => {
         message: 'Connection pending. Please scan QR code.',
         connected: false,
         qrCode: existingConnection.qrCode,
+        pairing: whatsappService.getPairingStatus(userId),
       });
     }
     
@@ -98,7 +105,64 @@ const getQR = async (req, res) => {
 };
 
 /**
- * CONNECTION STATUS - Check WhatsApp connection status
+ * PAIRING CODE - Link WhatsApp by entering a code on the phone instead of scanning a QR code
+ * POST /api/whatsapp/pairing-code
+ * Body: { phoneNumber? } (defaults to the number on the account)
+ * Requires authentication
+ */
+const requestPairingCode = async (req, res) => {
+  try {
+    const userId = req.userId;
+    
+    if (whatsappService.isConnected(userId)) {
+      return res.status(200).json({
+        success: true,
+        message: 'Already connected to WhatsApp',
+        connected: true,
+      });
+    }
+    
+    const user = await User.findById(userId).select('phoneNumber').lean();
+    const phoneNumber = normalizePhoneNumber(req.body.phoneNumber || user?.phoneNumber);
+    
+    if (!phoneNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'A phone number with country code is required (e.g. "+49 151 23456789"). Send phoneNumber or set one with PUT /api/auth/phone.',
+      });
+    }
+    
+    const pairing = await whatsappService.requestPairingCode(userId, phoneNumber);
+    
+    if (!pairing.code) {
+      return res.status(429).json({
+        success: false,
+        message: `Too many pairing codes requested. Try again in ${Math.ceil(pairing.retryAfterSeconds / 60)} minute(s), or scan the QR code instead.`,
+        retryAfterSeconds: pairing.retryAfterSeconds,
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'On your phone, open WhatsApp > Linked devices > Link a device > Link with phone number instead, and enter this code.',
+      connected: false,
+      pairingCode: pairing.code,
+      phoneNumber: pairing.phoneNumber,
+      expiresAt: pairing.expiresAt,
+      attemptsLeft: pairing.attemptsLeft,
+    });
+    
+  } catch (error) {
+    console.error('Pairing code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error requesting pairing code',
+    });
+  }
+};
+
+/**
+ * CONNECTION STATUS - Check WhatsApp connection status and history import progress
  * GET /api/whatsapp/status
  * Requires authentication
  */
@@ -115,7 +179,10 @@ const getStatus = async (req, res) => {
       stats: {
         totalChats: stats.totalChats,
         totalMessages: stats.totalMessages,
+        queuedMessages: ingestionService.getQueueDepth(userId),
       },
+      pairing: whatsappService.getPairingStatus(userId),
+      historySync: whatsappService.getHistorySyncStatus(userId),
     });
     
   } catch (error) {
@@ -127,6 +194,72 @@ const getStatus = async (req, res) => {
   }
 };
 
+/**
+ * LIVE UPDATES - Stream connection changes instead of polling /qr and /status
+ * GET /api/whatsapp/stream
+ * Requires authentication
+ * Events: state (snapshot on connect), qr, connection, pairing, historySync, messages
+ */
+const streamUpdates = (req, res) => {
+  try {
+    const userId = req.userId;
+    const events = openEventStream(res);
+    
+    // Current state first, then changes as they happen
+    events.send('state', whatsappService.getConnectionState(userId));
+    
+    const unsubscribe = realtimeService.subscribe(userId, ({ event, data }) => events.send(event, data));
+    events.signal.addEventListener('abort', unsubscribe);
+    
+  } catch (error) {
+    console.error('Stream updates error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Error opening live updates',
+      });
+    }
+  }
+};
+
+/**
+ * CONNECTION EVENTS - Connection history: opens, closes and why, reconnect attempts
+ * GET /api/whatsapp/events
+ * Query: ?limit=50&before=<ISO date>
+ * Requires authentication
+ */
+const getEvents = async (req, res) => {
+  try {
+    const userId = req.userId;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    
+    let before;
+    if (req.query.before) {
+      before = new Date(req.query.before);
+      if (isNaN(before.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'before must be a valid date (e.g. "2024-05-01T12:00:00Z")',
+        });
+      }
+    }
+    
+    const events = await connectionEventService.getEvents(userId, { limit, before });
+    
+    res.status(200).json({
+      success: true,
+      events,
+    });
+    
+  } catch (error) {
+    console.error('Get events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting connection events',
+    });
+  }
+};
+
 /**
  * DISCONNECT - Disconnect from WhatsApp
  * POST /api/whatsapp/disconnect
@@ -162,6 +295,9 @@ const disconnect = async (req, res) => {
 module.exports = {
   connect,
   getQR,
+  requestPairingCode,
   getStatus,
+  streamUpdates,
+  getEvents,
   disconnect,
 };
\ No newline at end of file
@@ -0,0 +1,70 @@
+// ============================================
+// CHAT MODEL
+// Per-chat names (group subjects, named chats) and retention settings
+// ============================================
+
+const mongoose = require('mongoose');
+
+/**
+ * Chat Schema
+ * Kept in sync from WhatsApp's chat and group events. Unlike messages,
+ * chats do not expire, so names survive the message TTL.
+ */
+const chatSchema = new mongoose.Schema(
+  {
+    // User whose WhatsApp account this chat belongs to
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    
+    // WhatsApp chat ID (JID)
+    chatId: {
+      type: String,
+      required: true,
+    },
+    
+    // Group subject, or the chat name WhatsApp reports
+    name: {
+      type: String,
+      default: null,
+    },
+    
+    isGroup: {
+      type: Boolean,
+      default: false,
+    },
+    
+    // Number of group members (groups only)
+    participantCount: {
+      type: Number,
+      default: null,
+    },
+    
+    // How long this chat's messages are kept (null = the user's setting)
+    retentionHours: {
+      type: Number,
+      default: null,
+      min: [1, 'Retention must be at least 1 hour'],
+      max: [8760, 'Retention cannot exceed 8760 hours (1 year)'],
+    },
+    
+    // Keep this chat's messages indefinitely
+    pinned: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true, // Add createdAt and updatedAt
+  }
+);
+
+// One entry per chat per user
+chatSchema.index({ userId: 1, chatId: 1 }, { unique: true });
+
+// Create and export the model
+const Chat = mongoose.model('Chat', chatSchema);
+
+module.exports = Chat;
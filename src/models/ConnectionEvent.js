@@ -0,0 +1,82 @@
+// ============================================
+// CONNECTION EVENT MODEL
+// Log of WhatsApp connection changes and reconnect decisions
+// ============================================
+
+const mongoose = require('mongoose');
+const { CONNECTION_EVENT_TTL_DAYS } = require('../config/env');
+
+// Kinds of events we log
+const CONNECTION_EVENT_TYPES = [
+  'connecting',   // A socket is being opened
+  'open',         // Connected
+  'close',        // Connection closed (reason/statusCode say why)
+  'reconnect',    // A reconnect was scheduled (attempt/delayMs)
+  'gave_up',      // No more reconnects for this reason
+  'disconnected', // The user disconnected
+];
+
+/**
+ * ConnectionEvent Schema
+ * Auto-deletes CONNECTION_EVENT_TTL_DAYS after the event
+ */
+const connectionEventSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    
+    type: {
+      type: String,
+      enum: CONNECTION_EVENT_TYPES,
+      required: true,
+    },
+    
+    // Baileys DisconnectReason name (e.g. "restartRequired", "badSession")
+    reason: {
+      type: String,
+      default: null,
+    },
+    
+    statusCode: {
+      type: Number,
+      default: null,
+    },
+    
+    // Error message from WhatsApp / Baileys
+    message: {
+      type: String,
+      default: null,
+    },
+    
+    // Reconnect attempt number (since the last successful connection)
+    attempt: {
+      type: Number,
+      default: null,
+    },
+    
+    // Delay before the scheduled reconnect
+    delayMs: {
+      type: Number,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Newest events first, per user
+connectionEventSchema.index({ userId: 1, createdAt: -1 });
+
+// ============ TTL INDEX (AUTO-DELETE) ============
+connectionEventSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: CONNECTION_EVENT_TTL_DAYS * 24 * 60 * 60 }
+);
+
+const ConnectionEvent = mongoose.model('ConnectionEvent', connectionEventSchema);
+
+module.exports = ConnectionEvent;
@@ -0,0 +1,56 @@
+// ============================================
+// CONTACT MODEL
+// Names of the people a user talks to
+// ============================================
+
+const mongoose = require('mongoose');
+
+/**
+ * Contact Schema
+ * Kept in sync from WhatsApp's contact events
+ */
+const contactSchema = new mongoose.Schema(
+  {
+    // User whose address book this contact belongs to
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    
+    // WhatsApp contact ID (JID, phone number or LID form)
+    contactId: {
+      type: String,
+      required: true,
+    },
+    
+    // Name saved in the user's address book
+    name: {
+      type: String,
+      default: null,
+    },
+    
+    // Name the contact set on their own profile
+    notify: {
+      type: String,
+      default: null,
+    },
+    
+    // Business name (WhatsApp Business accounts)
+    verifiedName: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Add createdAt and updatedAt
+  }
+);
+
+// One entry per contact per user
+contactSchema.index({ userId: 1, contactId: 1 }, { unique: true });
+
+// Create and export the model
+const Contact = mongoose.model('Contact', contactSchema);
+
+module.exports = Contact;
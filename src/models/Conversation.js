@@ -0,0 +1,81 @@
+// ============================================
+// CONVERSATION MODEL
+// Q&A threads about a chat, so follow-up questions keep context
+// ============================================
+
+const mongoose = require('mongoose');
+const { CONVERSATION_TTL_HOURS } = require('../config/env');
+const encryptedFields = require('./plugins/encryptedFields');
+
+/**
+ * One question/answer exchange
+ */
+const turnSchema = new mongoose.Schema(
+  {
+    question: {
+      type: String,
+      required: true,
+    },
+    
+    answer: {
+      type: String,
+      required: true,
+    },
+    
+    // WhatsApp message IDs the answer is based on
+    citations: {
+      type: [String],
+      default: [],
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+/**
+ * Conversation Schema
+ * Auto-deletes CONVERSATION_TTL_HOURS after the last question
+ */
+const conversationSchema = new mongoose.Schema(
+  {
+    // User who owns this conversation
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    
+    // Chat the questions are about
+    chatId: {
+      type: String,
+      required: true,
+    },
+    
+    // Questions and answers, oldest first
+    turns: {
+      type: [turnSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true, // Add createdAt and updatedAt
+  }
+);
+
+// ============ TTL INDEX (AUTO-DELETE) ============
+// Every new turn bumps updatedAt, which keeps active conversations alive
+conversationSchema.index(
+  { updatedAt: 1 },
+  { expireAfterSeconds: CONVERSATION_TTL_HOURS * 60 * 60 }
+);
+
+// ============ ENCRYPTION AT REST ============
+// Questions and answers quote the chat's messages, so they are encrypted like them
+conversationSchema.plugin(encryptedFields, { fields: ['turns.question', 'turns.answer'] });
+
+// Create and export the model
+const Conversation = mongoose.model('Conversation', conversationSchema);
+
+module.exports = Conversation;
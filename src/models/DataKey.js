@@ -0,0 +1,58 @@
+// ============================================
+// DATA KEY MODEL
+// Per-user encryption keys, wrapped with the master key
+// ============================================
+
+const mongoose = require('mongoose');
+
+/**
+ * DataKey Schema
+ * Envelope encryption: each user's fields are encrypted with their own data
+ * key, and data keys are stored encrypted ("wrapped") with the master key
+ * from ENCRYPTION_KEY. Rotating the master key only re-wraps these documents.
+ */
+const dataKeySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    
+    // AES-256 key encrypted with the master key (base64 of iv + auth tag + ciphertext)
+    wrappedKey: {
+      type: String,
+      required: true,
+    },
+    
+    // Which master key wrapped it (see encryptionService.getMasterKeyId)
+    masterKeyId: {
+      type: String,
+      required: true,
+    },
+    
+    // The key new data is encrypted with; retired keys still decrypt older data
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    
+    retiredAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// At most one active key per user
+dataKeySchema.index(
+  { userId: 1 },
+  { unique: true, partialFilterExpression: { active: true }, name: 'one_active_key_per_user' }
+);
+
+const DataKey = mongoose.model('DataKey', dataKeySchema);
+
+module.exports = DataKey;
@@ -5,6 +5,10 @@
 
 const mongoose = require('mongoose');
 const { MESSAGE_TTL_HOURS } = require('../config/env');
+const encryptedFields = require('./plugins/encryptedFields');
+
+// Kinds of messages we store
+const MESSAGE_TYPES = ['text', 'image', 'video', 'gif', 'audio', 'voice', 'document', 'sticker', 'location', 'contact'];
 
 /**
  * Message Schema
@@ -40,19 +44,80 @@ const messageSchema = new mongoose.Schema(
       unique: true, // Prevent duplicate messages
     },
     
-    // Sender's phone number or participant ID
+    // Sender's phone number or participant ID (the user's own name for fromMe)
     sender: {
       type: String,
       required: true,
     },
     
-    // Message content (text only)
+    // Sent by the user from their own account
+    fromMe: {
+      type: Boolean,
+      default: false,
+    },
+    
+    // Message kind (media messages keep their caption in content)
+    type: {
+      type: String,
+      enum: MESSAGE_TYPES,
+      default: 'text',
+    },
+    
+    // Message text, or the caption of a media message ('' if none). Encrypted at rest
     content: {
       type: String,
-      required: true,
+      default: '',
       maxlength: 10000, // Limit message length
     },
     
+    // Media/location/contact details (non-text messages only)
+    media: {
+      fileName: String,
+      mimeType: String,
+      duration: Number, // Seconds (audio, voice notes, video)
+      latitude: Number,
+      longitude: Number,
+      name: String, // Location name or contact display name(s)
+    },
+    
+    // Message this one replies to (quoted message)
+    replyTo: {
+      messageId: String,
+      sender: String,
+      content: String, // Snippet of the quoted message, kept even if the original expires
+    },
+    
+    // Previous versions of an edited message (oldest first)
+    edits: {
+      type: [
+        {
+          content: String,
+          editedAt: Date, // When this version was replaced
+          _id: false,
+        },
+      ],
+      default: [],
+    },
+    
+    // Deleted for everyone (content and media are cleared)
+    deleted: {
+      type: Boolean,
+      default: false,
+    },
+    
+    // Emoji reactions, one per sender
+    reactions: {
+      type: [
+        {
+          sender: String,
+          emoji: String,
+          timestamp: Number, // Unix timestamp
+          _id: false,
+        },
+      ],
+      default: [],
+    },
+    
     // Unix timestamp from WhatsApp
     timestamp: {
       type: Number,
@@ -60,10 +125,9 @@ const messageSchema = new mongoose.Schema(
       index: true, // For sorting by time
     },
     
-    // Expiration date (auto-delete after this time)
+    // Expiration date (auto-delete after this time, null = kept indefinitely)
     expiresAt: {
       type: Date,
-      required: true,
       // TTL index will be created separately
     },
   },
@@ -80,16 +144,22 @@ messageSchema.index({ userId: 1, chatId: 1, timestamp: -1 });
 /**
  * MongoDB will automatically delete documents where expiresAt has passed
  * Runs every 60 seconds in background
- * This is how we keep only 24 hours of messages!
+ * This is how we keep only 24 hours of messages (or what the retention policy says)!
  */
 messageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
-// ============ PRE-SAVE MIDDLEWARE ============
+// ============ ENCRYPTION AT REST ============
+// Message text, quoted snippets and edit history are stored encrypted
+messageSchema.plugin(encryptedFields, { fields: ['content', 'replyTo.content', 'edits.content'] });
+
+// ============ PRE-VALIDATE MIDDLEWARE ============
 /**
- * Automatically set expiresAt to 24 hours from now
+ * Default expiresAt to 24 hours from now.
+ * Callers normally set it from the retention policy (see retentionService);
+ * null means the chat is pinned and must not be overwritten.
  */
-messageSchema.pre('save', function (next) {
-  if (!this.expiresAt) {
+messageSchema.pre('validate', function (next) {
+  if (this.expiresAt === undefined) {
     // Set expiration to MESSAGE_TTL_HOURS (24) from now
     const now = new Date();
     this.expiresAt = new Date(now.getTime() + MESSAGE_TTL_HOURS * 60 * 60 * 1000);
@@ -103,10 +173,18 @@ messageSchema.pre('save', function (next) {
  * @param {string} userId - User ID
  * @param {string} chatId - Chat ID
  * @param {number} limit - Max messages to return
+ * @param {Object} options - { since? } (only messages after this Unix timestamp)
  * @returns {Promise<Array>} - Array of messages
  */
-messageSchema.statics.getChatMessages = function (userId, chatId, limit = 100) {
-  return this.find({ userId, chatId })
+messageSchema.statics.getChatMessages = function (userId, chatId, limit = 100, { since } = {}) {
+  // Deleted messages never reach summaries or listings
+  const filter = { userId, chatId, deleted: { $ne: true } };
+  
+  if (since !== undefined && since !== null) {
+    filter.timestamp = { $gt: since };
+  }
+  
+  return this.find(filter)
     .sort({ timestamp: 1 }) // Oldest first
     .limit(limit)
     .lean(); // Return plain objects (faster)
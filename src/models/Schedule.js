@@ -0,0 +1,110 @@
+// ============================================
+// SCHEDULE MODEL
+// Recurring digests/summaries sent to the user's own WhatsApp
+// ============================================
+
+const mongoose = require('mongoose');
+
+/**
+ * Schedule Schema
+ * nextRunAt is the source of truth for when a schedule fires, so schedules
+ * survive restarts, and instances claim a run by moving it forward atomically
+ */
+const scheduleSchema = new mongoose.Schema(
+  {
+    // User who owns this schedule
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    
+    // What to send: a cross-chat digest, or summaries of selected chats
+    type: {
+      type: String,
+      enum: ['digest', 'summaries'],
+      default: 'digest',
+    },
+    
+    // Chats to summarize (type 'summaries' only)
+    chatIds: {
+      type: [String],
+      default: [],
+    },
+    
+    // Local time of day, "HH:MM" (24h)
+    time: {
+      type: String,
+      required: true,
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Time must be "HH:MM" (24h)'],
+    },
+    
+    // IANA timezone the time is in (e.g. "Europe/Berlin")
+    timezone: {
+      type: String,
+      default: 'UTC',
+    },
+    
+    // Weekdays to run on (0 = Sunday); empty = every day
+    days: {
+      type: [Number],
+      default: [],
+    },
+    
+    // How many hours of messages each run covers
+    hours: {
+      type: Number,
+      default: 24,
+      min: 1,
+      max: 168,
+    },
+    
+    // Max chats in a digest
+    maxChats: {
+      type: Number,
+      default: 10,
+      min: 1,
+      max: 25,
+    },
+    
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    
+    // Next time this schedule fires (null while disabled)
+    nextRunAt: {
+      type: Date,
+      default: null,
+    },
+    
+    // Outcome of the last run
+    lastRunAt: {
+      type: Date,
+      default: null,
+    },
+    
+    lastStatus: {
+      type: String,
+      enum: ['sent', 'skipped', 'missed', 'failed', null],
+      default: null,
+    },
+    
+    lastError: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Add createdAt and updatedAt
+  }
+);
+
+// Fast lookup of due schedules
+scheduleSchema.index({ enabled: 1, nextRunAt: 1 });
+
+// Create and export the model
+const Schedule = mongoose.model('Schedule', scheduleSchema);
+
+module.exports = Schedule;
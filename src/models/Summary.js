@@ -0,0 +1,136 @@
+// ============================================
+// SUMMARY MODEL
+// Stores generated chat summaries for history and cache reuse
+// ============================================
+
+const mongoose = require('mongoose');
+const encryptedFields = require('./plugins/encryptedFields');
+
+/**
+ * Summary Schema
+ * One document per generated summary over a specific message window
+ */
+const summarySchema = new mongoose.Schema(
+  {
+    // User who owns this summary
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    
+    // Chat identifier (e.g., "1234567890@s.whatsapp.net")
+    chatId: {
+      type: String,
+      required: true,
+    },
+    
+    // Chat display name at the time of summarizing
+    chatName: {
+      type: String,
+      default: null,
+    },
+    
+    // Message window covered by this summary
+    range: {
+      firstMessageId: { type: String, required: true },
+      lastMessageId: { type: String, required: true },
+      from: { type: Number, required: true }, // Unix timestamp of first message
+      to: { type: Number, required: true },   // Unix timestamp of last message
+      messageCount: { type: Number, required: true },
+    },
+    
+    // Prompt version used (bumped whenever prompts change)
+    promptVersion: {
+      type: String,
+      required: true,
+    },
+    
+    // AI provider that generated the summary
+    provider: {
+      type: String,
+      required: true,
+    },
+    
+    // Output format ('markdown' | 'structured')
+    format: {
+      type: String,
+      default: 'markdown',
+    },
+    
+    // 'full' (whole stored window) or 'incremental' (only new messages)
+    mode: {
+      type: String,
+      default: 'full',
+    },
+    
+    // Summary used as context for an incremental summary
+    previousSummaryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Summary',
+      default: null,
+    },
+    
+    // Generated result
+    result: {
+      summary: { type: String, required: true },
+      structured: { type: mongoose.Schema.Types.Mixed, default: null },
+      chunkCount: { type: Number, default: 1 },
+    },
+    
+    // Hash of everything that affects the output (for cache lookups)
+    cacheKey: {
+      type: String,
+      required: true,
+    },
+  },
+  {
+    timestamps: true, // Add createdAt and updatedAt
+  }
+);
+
+// ============ COMPOUND INDEXES ============
+// History per chat, newest first
+summarySchema.index({ userId: 1, chatId: 1, createdAt: -1 });
+
+// Cache lookups
+summarySchema.index({ userId: 1, cacheKey: 1 });
+
+// ============ STATIC METHODS ============
+/**
+ * Find the most recent summary with a matching cache key
+ * @param {string} userId - User ID
+ * @param {string} cacheKey - Cache key
+ * @returns {Promise<Object|null>} - Cached summary or null
+ */
+summarySchema.statics.findCached = function (userId, cacheKey) {
+  return this.findOne({ userId, cacheKey })
+    .sort({ createdAt: -1 })
+    .lean();
+};
+
+/**
+ * Find the latest summary of a chat that ends at or before a timestamp
+ * @param {string} userId - User ID
+ * @param {string} chatId - Chat ID
+ * @param {number} before - Unix timestamp
+ * @returns {Promise<Object|null>} - Summary or null
+ */
+summarySchema.statics.findPrevious = function (userId, chatId, before) {
+  return this.findOne({ userId, chatId, 'range.to': { $lte: before } })
+    .sort({ 'range.to': -1, createdAt: -1 })
+    .lean();
+};
+
+// ============ ENCRYPTION AT REST ============
+// Summaries are rewrites of the chat's messages, so they are encrypted like them
+summarySchema.plugin(encryptedFields, {
+  fields: ['result.summary', 'result.structured'],
+  json: ['result.structured'],
+});
+
+// Create and export the model
+const Summary = mongoose.model('Summary', summarySchema);
+
+module.exports = Summary;
@@ -0,0 +1,57 @@
+// ============================================
+// SUMMARY MARKER MODEL
+// Remembers how far each user has summarized each chat
+// ============================================
+
+const mongoose = require('mongoose');
+
+/**
+ * Summary Marker Schema
+ * One document per user + chat, updated after every summary
+ */
+const summaryMarkerSchema = new mongoose.Schema(
+  {
+    // User who owns this marker
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    
+    // Chat identifier
+    chatId: {
+      type: String,
+      required: true,
+    },
+    
+    // Unix timestamp of the last message covered by a summary
+    lastTimestamp: {
+      type: Number,
+      required: true,
+    },
+    
+    // WhatsApp ID of the last message covered by a summary
+    lastMessageId: {
+      type: String,
+      required: true,
+    },
+    
+    // Summary that moved the marker
+    summaryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Summary',
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // updatedAt = when the user last summarized
+  }
+);
+
+// One marker per user per chat
+summaryMarkerSchema.index({ userId: 1, chatId: 1 }, { unique: true });
+
+// Create and export the model
+const SummaryMarker = mongoose.model('SummaryMarker', summaryMarkerSchema);
+
+module.exports = SummaryMarker;
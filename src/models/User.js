@@ -5,6 +5,7 @@
 
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const { AI_PROVIDER_NAMES } = require("../config/env");
 
 /**
  * User Schema
@@ -44,6 +45,83 @@ const userSchema = new mongoose.Schema(
       default: false,
     },
 
+    // AI provider override (null = use deployment default)
+    aiProvider: {
+      type: String,
+      enum: [...AI_PROVIDER_NAMES, null],
+      default: null,
+    },
+
+    // In-WhatsApp bot commands (!summary, !ask, !digest) sent from the user's own account
+    botCommands: {
+      enabled: {
+        type: Boolean,
+        default: true,
+      },
+      prefix: {
+        type: String,
+        default: "!",
+        trim: true,
+        minlength: [1, "Command prefix cannot be empty"],
+        maxlength: [3, "Command prefix cannot exceed 3 characters"],
+      },
+    },
+
+    // Which chats may be stored (and so ever reach the AI provider)
+    ingestion: {
+      // "all": every chat except the blocked ones; "allowlist": only allowChats
+      mode: {
+        type: String,
+        enum: ["all", "allowlist"],
+        default: "all",
+      },
+      allowChats: {
+        type: [String],
+        default: [],
+      },
+      // Never stored, in either mode
+      blockChats: {
+        type: [String],
+        default: [],
+      },
+      blockDirect: {
+        type: Boolean,
+        default: false,
+      },
+      blockGroups: {
+        type: Boolean,
+        default: false,
+      },
+    },
+
+    // How long messages are kept (null = deployment default, MESSAGE_TTL_HOURS)
+    retentionHours: {
+      type: Number,
+      default: null,
+      min: [1, "Retention must be at least 1 hour"],
+      max: [8760, "Retention cannot exceed 8760 hours (1 year)"],
+    },
+
+    // Import of existing chat history sent by WhatsApp when a device is linked (opt-in)
+    historySync: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      lookbackHours: {
+        type: Number,
+        default: 24,
+        min: [1, "Lookback must be at least 1 hour"],
+        max: [720, "Lookback cannot exceed 720 hours (30 days)"],
+      },
+      maxPerChat: {
+        type: Number,
+        default: 200,
+        min: [1, "Per-chat cap must be at least 1 message"],
+        max: [1000, "Per-chat cap cannot exceed 1000 messages"],
+      },
+    },
+
     // Last login timestamp
     lastLogin: {
       type: Date,
@@ -102,6 +180,11 @@ userSchema.methods.toSafeObject = function () {
     username: this.username,
     phoneNumber: this.phoneNumber,
     whatsappConnected: this.whatsappConnected,
+    aiProvider: this.aiProvider,
+    botCommands: this.botCommands,
+    historySync: this.historySync,
+    retentionHours: this.retentionHours,
+    ingestion: this.ingestion,
     createdAt: this.createdAt,
     lastLogin: this.lastLogin,
   };
@@ -4,6 +4,7 @@
 // ============================================
 
 const mongoose = require('mongoose');
+const encryptedFields = require('./plugins/encryptedFields');
 
 const whatsappAuthSchema = new mongoose.Schema(
   {
@@ -14,10 +15,17 @@ const whatsappAuthSchema = new mongoose.Schema(
       unique: true,
     },
     
-    // Store Baileys auth state as JSON
+    // Baileys credentials as JSON serialized with BufferJSON (keeps Buffers intact),
+    // encrypted at rest. Signal keys live in the WhatsAppKey collection.
+    creds: {
+      type: String,
+      default: null,
+    },
+    
+    // Legacy: whole auth state as a raw object (migrated to creds + WhatsAppKey on load)
     authState: {
       type: mongoose.Schema.Types.Mixed,
-      default: {},
+      default: undefined,
     },
     
     connected: {
@@ -35,6 +43,8 @@ const whatsappAuthSchema = new mongoose.Schema(
   }
 );
 
+whatsappAuthSchema.plugin(encryptedFields, { fields: ['creds'] });
+
 const WhatsAppAuth = mongoose.model('WhatsAppAuth', whatsappAuthSchema);
 
 module.exports = WhatsAppAuth;
\ No newline at end of file
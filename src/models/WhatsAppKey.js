@@ -0,0 +1,52 @@
+// ============================================
+// WHATSAPP KEY MODEL
+// Signal protocol keys (pre-keys, sessions, sender keys, ...) for the auth state
+// ============================================
+
+const mongoose = require('mongoose');
+const encryptedFields = require('./plugins/encryptedFields');
+
+/**
+ * WhatsAppKey Schema
+ * One document per key, so Baileys' frequent key updates are small upserts
+ * instead of rewriting the whole auth state
+ */
+const whatsappKeySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    
+    // Key category (e.g. "pre-key", "session", "sender-key", "app-state-sync-key")
+    type: {
+      type: String,
+      required: true,
+    },
+    
+    // Key ID within its category
+    keyId: {
+      type: String,
+      required: true,
+    },
+    
+    // Key data as JSON serialized with Baileys' BufferJSON (keeps Buffers intact), encrypted at rest
+    value: {
+      type: String,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One entry per key per user
+whatsappKeySchema.index({ userId: 1, type: 1, keyId: 1 }, { unique: true });
+
+whatsappKeySchema.plugin(encryptedFields, { fields: ['value'] });
+
+const WhatsAppKey = mongoose.model('WhatsAppKey', whatsappKeySchema);
+
+module.exports = WhatsAppKey;
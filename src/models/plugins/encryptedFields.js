@@ -0,0 +1,251 @@
+// ============================================
+// ENCRYPTED FIELDS PLUGIN
+// Encrypt string (or JSON) fields on write and decrypt them on read
+// ============================================
+
+const encryptionService = require('../../services/encryptionService');
+
+// Documents per bulkWrite when re-encrypting existing data
+const REENCRYPT_BATCH_SIZE = 500;
+
+/**
+ * Apply an async transform to every string at a path.
+ * Arrays on the way are walked, so "edits.content" covers every edit.
+ * Works on plain objects and Mongoose documents alike.
+ * @param {Object} target - Object to update in place
+ * @param {Array} segments - Path segments
+ * @param {Function} transform - async (value) => new value
+ * @param {boolean} json - Also transform objects/arrays at the path (JSON fields)
+ * @returns {Promise<void>}
+ */
+const transformPath = async (target, segments, transform, json = false) => {
+  if (target === null || typeof target !== 'object') {
+    return;
+  }
+  
+  const [head, ...rest] = segments;
+  if (Array.isArray(target)) {
+    for (const item of target) {
+      await transformPath(item, segments, transform, json);
+    }
+    return;
+  }
+  
+  if (rest.length > 0) {
+    return transformPath(target[head], rest, transform, json);
+  }
+  
+  const value = target[head];
+  if (typeof value === 'string' || (json && value !== null && typeof value === 'object')) {
+    target[head] = await transform(value);
+  }
+};
+
+/**
+ * Encrypt a field value; JSON fields are serialized first
+ * @param {string} userId - Owner of the data
+ * @param {*} value - String, or any JSON value for JSON fields
+ * @param {boolean} json - Whether the field is a JSON field
+ * @returns {Promise<string>} - Encrypted value
+ */
+const encryptValue = (userId, value, json) => {
+  if (json && !encryptionService.isEncrypted(value)) {
+    value = JSON.stringify(value);
+  }
+  return encryptionService.encrypt(userId, value);
+};
+
+/**
+ * Decrypt a field value; JSON fields are parsed back
+ * @param {*} value - Stored value
+ * @param {boolean} json - Whether the field is a JSON field
+ * @returns {Promise<*>} - Plaintext (values stored before encryption are returned as is)
+ */
+const decryptValue = async (value, json) => {
+  const plaintext = await encryptionService.decrypt(value);
+  return json && encryptionService.isEncrypted(value) ? JSON.parse(plaintext) : plaintext;
+};
+
+/**
+ * Parse the plugin's field options
+ * @param {Array} fields - Encrypted paths, e.g. ['content', 'replyTo.content']
+ * @param {Array} json - Those of them holding objects
+ * @returns {Array} - [{ field, segments, json }]
+ */
+const toPaths = (fields, json = []) => {
+  return fields.map(field => ({ field, segments: field.split('.'), json: json.includes(field) }));
+};
+
+/**
+ * Apply an async transform to every encrypted path of a document
+ * @param {Object} target - Document or update section to update in place
+ * @param {Array} paths - From toPaths
+ * @param {Function} transform - async (value, json) => new value
+ * @returns {Promise<void>}
+ */
+const transformFields = async (target, paths, transform) => {
+  for (const path of paths) {
+    await transformPath(target, path.segments, value => transform(value, path.json), path.json);
+  }
+};
+
+/**
+ * Encrypt the paths an update sets ($set, $setOnInsert, plain fields, $push)
+ * @param {Array} paths - From toPaths
+ * @param {Object} update - Update document (changed in place)
+ * @param {string} userId - Owner (from the filter)
+ * @returns {Promise<void>}
+ */
+const encryptUpdate = async (paths, update, userId) => {
+  if (!update || Array.isArray(update)) {
+    return; // Pipelines only compute from stored values
+  }
+  
+  const sections = [update, update.$set, update.$setOnInsert].filter(Boolean);
+  const touched = sections.some(section => paths.some(({ field, segments }) =>
+    segments[0] in section || field in section
+  )) || paths.some(({ segments }) => update.$push?.[segments[0]] !== undefined);
+  
+  if (!touched) {
+    return;
+  }
+  if (!userId) {
+    throw new Error('Updates to encrypted fields need a userId in the filter');
+  }
+  
+  for (const section of sections) {
+    await transformFields(section, paths, (value, isJson) => encryptValue(userId, value, isJson));
+    
+    // Dotted keys, e.g. { 'replyTo.content': ... }
+    for (const path of paths) {
+      const value = section[path.field];
+      if (typeof value === 'string' || (path.json && value !== null && typeof value === 'object')) {
+        section[path.field] = await encryptValue(userId, value, path.json);
+      }
+    }
+  }
+  
+  // { $push: { edits: value } } or { $push: { edits: { $each: [...] } } }
+  for (const { segments: [head, ...rest], json: isJson } of paths) {
+    const pushed = update.$push?.[head];
+    if (pushed !== undefined && rest.length > 0) {
+      await transformPath(pushed.$each || pushed, rest, value => encryptValue(userId, value, isJson), isJson);
+    }
+  }
+};
+
+/**
+ * Mongoose plugin: the listed paths are stored encrypted with the owning
+ * user's data key (see encryptionService) and read back as plaintext.
+ * Documents need a userId; updates that set an encrypted path need a
+ * userId in their filter. Aggregations return the stored (encrypted)
+ * values - decrypt those with encryptionService.decrypt.
+ * JSON fields (Mixed paths such as structured results) are stored as
+ * encrypted JSON text and read back as objects.
+ * @param {Object} schema - Mongoose schema
+ * @param {Object} options - { fields: ['content', 'replyTo.content', ...], json: [fields holding objects] }
+ */
+const encryptedFields = (schema, { fields, json = [] }) => {
+  const paths = toPaths(fields, json);
+  
+  const encryptFields = (target, userId) => {
+    return transformFields(target, paths, (value, isJson) => encryptValue(userId, value, isJson));
+  };
+  
+  const decryptFields = (target) => transformFields(target, paths, decryptValue);
+  
+  const decryptResults = async (result) => {
+    for (const doc of [].concat(result || [])) {
+      await decryptFields(doc);
+    }
+  };
+  
+  // Documents (save and insertMany): encrypt after validation, so length
+  // limits apply to the plaintext
+  schema.post('validate', async function (doc) {
+    await encryptFields(doc, doc.userId);
+  });
+  
+  // Keep the in-memory copy readable after writing
+  schema.post('save', decryptFields);
+  schema.post('insertMany', decryptResults);
+  
+  // Queries (lean or not)
+  schema.post(['find', 'findOne', 'findOneAndUpdate', 'findOneAndDelete'], decryptResults);
+  
+  schema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], async function () {
+    const update = this.getUpdate();
+    await encryptUpdate(paths, update, this.getFilter().userId || update?.$setOnInsert?.userId);
+  });
+  
+  schema.pre('bulkWrite', function (next, ops) {
+    const writes = ops.map((op) => {
+      if (op.insertOne) {
+        return encryptFields(op.insertOne.document, op.insertOne.document.userId);
+      }
+      const { filter, update } = op.updateOne || op.updateMany || {};
+      return encryptUpdate(paths, update, filter?.userId);
+    });
+    
+    Promise.all(writes).then(() => next(), next);
+  });
+  
+  /**
+   * Encrypt stored plaintext and re-encrypt values whose data key is no
+   * longer the owner's active one (after a migration or key rotation)
+   * @param {Object} filter - Documents to check (e.g. { userId })
+   * @returns {Promise<number>} - Documents rewritten
+   */
+  schema.statics.reencrypt = async function (filter = {}) {
+    const tops = [...new Set(paths.map(({ segments }) => segments[0]))];
+    let rewritten = 0;
+    let ops = [];
+    
+    const flush = async () => {
+      if (ops.length > 0) {
+        await this.bulkWrite(ops, { ordered: false });
+        rewritten += ops.length;
+        ops = [];
+      }
+    };
+    
+    // Raw driver cursor: Mongoose cursors would run the decrypting find hooks
+    const cursor = this.collection.find(this.find(filter).cast(this), {
+      projection: Object.fromEntries(['userId', ...tops].map(path => [path, 1])),
+    });
+    
+    for await (const doc of cursor) {
+      const { id: activeKeyId } = await encryptionService.getActiveKey(doc.userId);
+      let stale = false;
+      
+      await transformFields(doc, paths, async (value) => {
+        if (value !== '' && encryptionService.getKeyId(value) !== activeKeyId) {
+          stale = true;
+        }
+        return value;
+      });
+      
+      if (!stale) {
+        continue;
+      }
+      
+      // Write the plaintext back - the bulkWrite hook encrypts it with the active key
+      await decryptFields(doc);
+      const $set = Object.fromEntries(tops.filter(top => doc[top] !== undefined).map(top => [top, doc[top]]));
+      ops.push({ updateOne: { filter: { _id: doc._id, userId: doc.userId }, update: { $set }, timestamps: false } });
+      
+      if (ops.length >= REENCRYPT_BATCH_SIZE) {
+        await flush();
+      }
+    }
+    
+    await flush();
+    return rewritten;
+  };
+};
+
+module.exports = encryptedFields;
+
+// Exposed for tests
+module.exports.toPaths = toPaths;
+module.exports.encryptUpdate = encryptUpdate;
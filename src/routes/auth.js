@@ -11,6 +11,12 @@ const {
   login,
   getCurrentUser,
   updatePhoneNumber,
+  updateAIProvider,
+  updateBotCommands,
+  updateHistorySync,
+  updateRetention,
+  updatePrivacy,
+  purgeExcludedChats,
   logout,
 } = require('../controllers/authController');
 
@@ -45,6 +51,53 @@ router.get('/me', auth, getCurrentUser);
  */
 router.put('/phone', auth, updatePhoneNumber);
 
+/**
+ * @route   PUT /api/auth/ai-provider
+ * @desc    Override the default AI provider for this user
+ * @access  Private (requires token)
+ * @body    { provider: "gemini" | "openai" | "echo" | null }
+ */
+router.put('/ai-provider', auth, updateAIProvider);
+
+/**
+ * @route   PUT /api/auth/bot-commands
+ * @desc    Enable/disable in-WhatsApp bot commands or change their prefix
+ * @access  Private (requires token)
+ * @body    { enabled?: boolean, prefix?: "!" }
+ */
+router.put('/bot-commands', auth, updateBotCommands);
+
+/**
+ * @route   PUT /api/auth/history-sync
+ * @desc    Opt in to importing recent chat history when WhatsApp is linked
+ * @access  Private (requires token)
+ * @body    { enabled?: boolean, lookbackHours?: 1-720, maxPerChat?: 1-1000 }
+ */
+router.put('/history-sync', auth, updateHistorySync);
+
+/**
+ * @route   PUT /api/auth/retention
+ * @desc    Change how long messages are kept (stored messages are re-dated)
+ * @access  Private (requires token)
+ * @body    { hours: 1-8760 | null }
+ */
+router.put('/retention', auth, updateRetention);
+
+/**
+ * @route   PUT /api/auth/privacy
+ * @desc    Choose which chats are stored: block chats, 1:1 chats or groups, or allow only listed chats
+ * @access  Private (requires token)
+ * @body    { mode?: "all" | "allowlist", allowChats?: [chatId], blockChats?: [chatId], blockDirect?: boolean, blockGroups?: boolean }
+ */
+router.put('/privacy', auth, updatePrivacy);
+
+/**
+ * @route   POST /api/auth/privacy/purge
+ * @desc    Delete stored messages, summaries and Q&A of chats the privacy settings exclude
+ * @access  Private (requires token)
+ */
+router.post('/privacy/purge', auth, purgeExcludedChats);
+
 /**
  * @route   POST /api/auth/logout
  * @desc    Logout user (mainly client-side with JWT)
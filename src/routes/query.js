@@ -9,9 +9,18 @@ const { auth } = require('../middleware/auth');
 const {
   getRecentChats,
   queryChat,
+  queryChatStream,
   getAllChats,
   getChat,
+  getChatRetention,
+  updateChatRetention,
   summarizeChat,
+  summarizeChatStream,
+  getChatTopics,
+  getChatSentiment,
+  askChat,
+  getDigest,
+  getSummaries,
 } = require('../controllers/queryController');
 
 /**
@@ -26,10 +35,21 @@ router.get('/chats/recent', auth, getRecentChats);
  * @route   POST /api/query
  * @desc    Search and summarize chat by name
  * @access  Private (requires token)
- * @body    { query: "chat name" }
+ * @body    { query: "chat name", format?: "markdown" | "structured", refresh?: boolean,
+ *            mode?: "full" | "incremental", since?: unix timestamp | ISO date,
+ *            include?: ["topics", "sentiment"] }
  */
 router.post('/', auth, queryChat);
 
+/**
+ * @route   POST /api/query/stream
+ * @desc    Same as POST /api/query, streamed as Server-Sent Events
+ *          (events: progress, token, done, error)
+ * @access  Private (requires token)
+ * @body    Same as POST /api/query
+ */
+router.post('/stream', auth, queryChatStream);
+
 /**
  * @route   GET /api/query/chats
  * @desc    Get list of all user's chats
@@ -41,14 +61,90 @@ router.get('/chats', auth, getAllChats);
  * @route   GET /api/query/chats/:chatId
  * @desc    Get messages from a specific chat
  * @access  Private (requires token)
+ * @query   view=thread (optional) - also return replies nested under the messages they quote
  */
 router.get('/chats/:chatId', auth, getChat);
 
+/**
+ * @route   GET /api/query/chats/:chatId/retention
+ * @desc    How long a chat's messages are kept and when the next one expires
+ * @access  Private (requires token)
+ */
+router.get('/chats/:chatId/retention', auth, getChatRetention);
+
+/**
+ * @route   PUT /api/query/chats/:chatId/retention
+ * @desc    Set a chat's retention or pin it (stored messages are re-dated)
+ * @access  Private (requires token)
+ * @body    { hours?: 1-8760 | null, pinned?: boolean }
+ */
+router.put('/chats/:chatId/retention', auth, updateChatRetention);
+
 /**
  * @route   POST /api/query/summarize/:chatId
  * @desc    Get AI summary of a specific chat
  * @access  Private (requires token)
+ * @body    { format?: "markdown" | "structured", refresh?: boolean,
+ *            mode?: "full" | "incremental", since?: unix timestamp | ISO date,
+ *            include?: ["topics", "sentiment"] }
  */
 router.post('/summarize/:chatId', auth, summarizeChat);
 
+/**
+ * @route   POST /api/query/summarize/:chatId/stream
+ * @desc    Same as POST /api/query/summarize/:chatId, streamed as Server-Sent Events
+ *          (events: progress, token, done, error)
+ * @access  Private (requires token)
+ * @body    Same as POST /api/query/summarize/:chatId
+ */
+router.post('/summarize/:chatId/stream', auth, summarizeChatStream);
+
+/**
+ * @route   POST /api/query/topics/:chatId
+ * @desc    Extract the main topics of a specific chat
+ * @access  Private (requires token)
+ */
+router.post('/topics/:chatId', auth, getChatTopics);
+
+/**
+ * @route   POST /api/query/sentiment/:chatId
+ * @desc    Sentiment of a specific chat overall, per participant and over time
+ * @access  Private (requires token)
+ * @body    { bucketMinutes?: number }
+ */
+router.post('/sentiment/:chatId', auth, getChatSentiment);
+
+/**
+ * @route   POST /api/query/ask/:chatId
+ * @desc    Ask a question about a specific chat; the answer cites the messages it is based on
+ * @access  Private (requires token)
+ * @body    { question: "...", conversationId?: "..." } (conversationId continues a thread)
+ */
+router.post('/ask/:chatId', auth, askChat);
+
+/**
+ * @route   POST /api/query/digest
+ * @desc    One briefing across all chats active in a time window, ranked by
+ *          activity and importance, with a combined action-item list
+ * @access  Private (requires token)
+ * @body    { hours?: number (1-168, default 24), maxChats?: number (1-25, default 10) }
+ */
+router.post('/digest', auth, getDigest);
+
+/**
+ * @route   GET /api/query/summaries
+ * @desc    Get summary history across all chats (newest first)
+ * @access  Private (requires token)
+ * @query   ?limit=20&page=1 (optional)
+ */
+router.get('/summaries', auth, getSummaries);
+
+/**
+ * @route   GET /api/query/summaries/:chatId
+ * @desc    Get summary history for a specific chat (newest first)
+ * @access  Private (requires token)
+ * @query   ?limit=20&page=1 (optional)
+ */
+router.get('/summaries/:chatId', auth, getSummaries);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,55 @@
+// ============================================
+// SCHEDULE ROUTES
+// Defines scheduled delivery API endpoints
+// ============================================
+
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middleware/auth');
+const {
+  listSchedules,
+  createSchedule,
+  getSchedule,
+  updateSchedule,
+  deleteSchedule,
+} = require('../controllers/scheduleController');
+
+/**
+ * @route   GET /api/schedules
+ * @desc    Get the user's delivery schedules
+ * @access  Private (requires token)
+ */
+router.get('/', auth, listSchedules);
+
+/**
+ * @route   POST /api/schedules
+ * @desc    Schedule a digest or chat summaries, sent to the user's own WhatsApp
+ * @access  Private (requires token)
+ * @body    { time: "08:00", timezone?: "Europe/Berlin", type?: "digest" | "summaries",
+ *            chatIds?: [chatId], days?: [0-6], hours?: number, maxChats?: number, enabled?: boolean }
+ */
+router.post('/', auth, createSchedule);
+
+/**
+ * @route   GET /api/schedules/:scheduleId
+ * @desc    Get one delivery schedule
+ * @access  Private (requires token)
+ */
+router.get('/:scheduleId', auth, getSchedule);
+
+/**
+ * @route   PUT /api/schedules/:scheduleId
+ * @desc    Update a delivery schedule
+ * @access  Private (requires token)
+ * @body    Any of the POST /api/schedules fields
+ */
+router.put('/:scheduleId', auth, updateSchedule);
+
+/**
+ * @route   DELETE /api/schedules/:scheduleId
+ * @desc    Delete a delivery schedule
+ * @access  Private (requires token)
+ */
+router.delete('/:scheduleId', auth, deleteSchedule);
+
+module.exports = router;
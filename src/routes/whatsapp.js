@@ -9,7 +9,10 @@ const { auth } = require('../middleware/auth');
 const {
   connect,
   getQR,
+  requestPairingCode,
   getStatus,
+  streamUpdates,
+  getEvents,
   disconnect,
 } = require('../controllers/whatsappController');
 
@@ -27,13 +30,37 @@ router.post('/connect', auth, connect);
  */
 router.get('/qr', auth, getQR);
 
+/**
+ * @route   POST /api/whatsapp/pairing-code
+ * @desc    Get an 8-character code to link WhatsApp without scanning the QR code
+ * @access  Private (requires token)
+ * @body    { phoneNumber? } (defaults to the number on the account)
+ */
+router.post('/pairing-code', auth, requestPairingCode);
+
 /**
  * @route   GET /api/whatsapp/status
- * @desc    Get connection status and message stats
+ * @desc    Get connection status, message stats and history import progress
  * @access  Private (requires token)
  */
 router.get('/status', auth, getStatus);
 
+/**
+ * @route   GET /api/whatsapp/stream
+ * @desc    Live connection updates (Server-Sent Events): QR refreshes, connection
+ *          changes, pairing codes, history import progress and new messages
+ * @access  Private (requires token)
+ */
+router.get('/stream', auth, streamUpdates);
+
+/**
+ * @route   GET /api/whatsapp/events
+ * @desc    Connection event log (connects, disconnects with reason, reconnect attempts), newest first
+ * @access  Private (requires token)
+ * @query   ?limit=50&before=<ISO date> (optional, limit max 200; before pages back)
+ */
+router.get('/events', auth, getEvents);
+
 /**
  * @route   POST /api/whatsapp/disconnect
  * @desc    Disconnect from WhatsApp
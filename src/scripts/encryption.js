@@ -0,0 +1,106 @@
+// ============================================
+// ENCRYPTION TOOLING
+// Encrypt existing data and rotate keys
+//
+// Usage: npm run encryption -- <command>
+//   migrate               Encrypt data stored before encryption at rest
+//   rotate-master         Re-wrap data keys with the current ENCRYPTION_KEY
+//   rotate-user <userId>  New data key for a user, re-encrypting their data
+//   rotate-user --all     Same, for every user with a data key
+// ============================================
+
+const mongoose = require('mongoose');
+const connectDatabase = require('../config/database');
+const encryptionService = require('../services/encryptionService');
+const authStateService = require('../services/authStateService');
+const DataKey = require('../models/DataKey');
+const Message = require('../models/Message');
+const Summary = require('../models/Summary');
+const Conversation = require('../models/Conversation');
+const WhatsAppAuth = require('../models/WhatsAppAuth');
+const WhatsAppKey = require('../models/WhatsAppKey');
+
+// Models using the encryptedFields plugin
+const ENCRYPTED_MODELS = [WhatsAppAuth, WhatsAppKey, Message, Summary, Conversation];
+
+/**
+ * Re-encrypt documents of every encrypted model
+ * @param {Object} filter - Documents to check (e.g. { userId })
+ * @returns {Promise<void>}
+ */
+const reencryptAll = async (filter = {}) => {
+  for (const Model of ENCRYPTED_MODELS) {
+    const rewritten = await Model.reencrypt(filter);
+    console.log(`🔐 ${Model.modelName}: ${rewritten} document(s) re-encrypted`);
+  }
+};
+
+/**
+ * Encrypt everything stored in plaintext (safe to run more than once)
+ * @returns {Promise<void>}
+ */
+const migrate = async () => {
+  const migrated = await authStateService.migrateLegacyAuthStates();
+  console.log(`🔁 ${migrated} legacy auth state(s) migrated`);
+  
+  await reencryptAll();
+};
+
+/**
+ * Re-wrap data keys after a master key change.
+ * Set the new ENCRYPTION_KEY, move the old one to ENCRYPTION_PREVIOUS_KEYS
+ * (in the server too), run this, then drop the old key.
+ * @returns {Promise<void>}
+ */
+const rotateMaster = async () => {
+  const rewrapped = await encryptionService.rewrapDataKeys();
+  console.log(`🔑 ${rewrapped} data key(s) re-wrapped with master key ${encryptionService.getMasterKeyId()}`);
+};
+
+/**
+ * Give users a new data key and re-encrypt their data with it.
+ * Running servers pick up the new key within a few minutes; run again
+ * afterwards to re-encrypt anything they wrote with the old key meanwhile.
+ * @param {string} target - User ID, or '--all'
+ * @returns {Promise<void>}
+ */
+const rotateUser = async (target) => {
+  const userIds = target === '--all'
+    ? await DataKey.distinct('userId', { active: true })
+    : [target];
+  
+  for (const userId of userIds) {
+    const { retiredKeyId, activeKeyId } = await encryptionService.rotateUserKey(userId);
+    console.log(`🔑 User ${userId}: data key ${retiredKeyId || '(none)'} -> ${activeKeyId}`);
+    
+    await reencryptAll({ userId });
+  }
+};
+
+const COMMANDS = {
+  migrate,
+  'rotate-master': rotateMaster,
+  'rotate-user': rotateUser,
+};
+
+const run = async () => {
+  const [command, ...args] = process.argv.slice(2);
+  
+  if (!COMMANDS[command] || (command === 'rotate-user' && !args[0])) {
+    console.error('Usage: npm run encryption -- migrate | rotate-master | rotate-user <userId|--all>');
+    process.exit(1);
+  }
+  
+  await connectDatabase();
+  
+  try {
+    await COMMANDS[command](...args);
+  } catch (error) {
+    console.error(`❌ ${command} failed:`, error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+run();
@@ -5,6 +5,7 @@
 
 const express = require('express');
 const cors = require('cors');
+const mongoose = require('mongoose');
 const connectDatabase = require('./config/database');
 const { PORT, CORS_ORIGIN, NODE_ENV } = require('./config/env');
 
@@ -12,9 +13,12 @@ const { PORT, CORS_ORIGIN, NODE_ENV } = require('./config/env');
 const authRoutes = require('./routes/auth');
 const whatsappRoutes = require('./routes/whatsapp');
 const queryRoutes = require('./routes/query');
+const scheduleRoutes = require('./routes/schedules');
 
 // Import WhatsApp service for connection restoration
 const whatsappService = require('./services/whatsappService');
+const schedulerService = require('./services/schedulerService');
+const ingestionService = require('./services/ingestionService');
 
 // ============ INITIALIZE EXPRESS APP ============
 const app = express();
@@ -88,6 +92,7 @@ app.get('/', (req, res) => {
     success: true,
     message: 'WhatsApp Summarizer API is running! 🚀',
     timestamp: new Date().toISOString(),
+    ingestion: ingestionService.getMetrics(),
   });
 });
 
@@ -95,8 +100,9 @@ app.get('/', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/whatsapp', whatsappRoutes);
 app.use('/api/query', queryRoutes);
+app.use('/api/schedules', scheduleRoutes);
 
-console.log('✅ Routes registered: /api/auth, /api/whatsapp, /api/query');
+console.log('✅ Routes registered: /api/auth, /api/whatsapp, /api/query, /api/schedules');
 
 // ============ ERROR HANDLING ============
 
@@ -130,7 +136,10 @@ const startServer = async () => {
     // 2. Restore WhatsApp connections (reconnect users who were connected)
     await whatsappService.restoreConnections();
     
-    // 3. Start Express server
+    // 3. Start sending scheduled digests
+    schedulerService.startScheduler();
+    
+    // 4. Start Express server
     app.listen(PORT, () => {
       console.log('\n' + '='.repeat(50));
       console.log('🚀 SERVER STARTED SUCCESSFULLY!');
@@ -147,17 +156,42 @@ const startServer = async () => {
       console.log('   POST /api/auth/login            - Login user');
       console.log('   GET  /api/auth/me               - Get current user (auth required)');
       console.log('   PUT  /api/auth/phone            - Update phone number (auth required)');
+      console.log('   PUT  /api/auth/ai-provider      - Override AI provider (auth required)');
+      console.log('   PUT  /api/auth/bot-commands     - Bot command settings (auth required)');
+      console.log('   PUT  /api/auth/history-sync     - History import settings (auth required)');
+      console.log('   PUT  /api/auth/retention        - Default message retention (auth required)');
+      console.log('   PUT  /api/auth/privacy          - Chats to store / exclude (auth required)');
+      console.log('   POST /api/auth/privacy/purge    - Delete data of excluded chats (auth required)');
       console.log('   POST /api/auth/logout           - Logout (auth required)');
       console.log('\n   WHATSAPP ENDPOINTS:');
       console.log('   POST /api/whatsapp/connect      - Connect WhatsApp (auth required)');
       console.log('   GET  /api/whatsapp/qr           - Get QR code (auth required)');
+      console.log('   POST /api/whatsapp/pairing-code - Get pairing code (auth required)');
       console.log('   GET  /api/whatsapp/status       - Connection status (auth required)');
+      console.log('   GET  /api/whatsapp/stream       - Live connection updates (auth required)');
+      console.log('   GET  /api/whatsapp/events       - Connection event log (auth required)');
       console.log('   POST /api/whatsapp/disconnect   - Disconnect WhatsApp (auth required)');
       console.log('\n   QUERY ENDPOINTS:');
       console.log('   POST /api/query                 - Query and summarize chat (auth required)');
+      console.log('   POST /api/query/stream          - Same, streamed over SSE (auth required)');
       console.log('   GET  /api/query/chats           - Get all chats (auth required)');
       console.log('   GET  /api/query/chats/:chatId   - Get specific chat (auth required)');
+      console.log('   GET  /api/query/chats/:chatId/retention - Chat retention (auth required)');
+      console.log('   PUT  /api/query/chats/:chatId/retention - Set chat retention / pin (auth required)');
       console.log('   POST /api/query/summarize/:chatId - Summarize chat (auth required)');
+      console.log('   POST /api/query/summarize/:chatId/stream - Same, streamed over SSE (auth required)');
+      console.log('   POST /api/query/topics/:chatId  - Extract chat topics (auth required)');
+      console.log('   POST /api/query/sentiment/:chatId - Chat sentiment breakdown (auth required)');
+      console.log('   POST /api/query/ask/:chatId     - Ask a question about a chat (auth required)');
+      console.log('   POST /api/query/digest          - Briefing across active chats (auth required)');
+      console.log('   GET  /api/query/summaries       - Summary history (auth required)');
+      console.log('   GET  /api/query/summaries/:chatId - Chat summary history (auth required)');
+      console.log('\n   SCHEDULE ENDPOINTS:');
+      console.log('   GET  /api/schedules             - List delivery schedules (auth required)');
+      console.log('   POST /api/schedules             - Create delivery schedule (auth required)');
+      console.log('   GET  /api/schedules/:scheduleId - Get delivery schedule (auth required)');
+      console.log('   PUT  /api/schedules/:scheduleId - Update delivery schedule (auth required)');
+      console.log('   DELETE /api/schedules/:scheduleId - Delete delivery schedule (auth required)');
       console.log('\n' + '='.repeat(50) + '\n');
     });
     
@@ -171,12 +205,38 @@ const startServer = async () => {
 startServer();
 
 // ============ GRACEFUL SHUTDOWN ============
+let shuttingDown = false;
+
+/**
+ * Stop background work and write queued messages before exiting.
+ * Sockets are closed first so nothing is queued while the queue is flushed,
+ * and the database is closed only after the flush.
+ */
+const shutdown = async () => {
+  if (shuttingDown) {
+    return;
+  }
+  shuttingDown = true;
+  
+  try {
+    schedulerService.stopScheduler();
+    await whatsappService.closeAllConnections();
+    await ingestionService.flushAll();
+    await mongoose.connection.close();
+    console.log('👋 MongoDB connection closed due to app termination');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error during shutdown:', error);
+    process.exit(1);
+  }
+};
+
 process.on('SIGTERM', () => {
   console.log('👋 SIGTERM received. Shutting down gracefully...');
-  process.exit(0);
+  shutdown();
 });
 
 process.on('SIGINT', () => {
   console.log('\n👋 SIGINT received. Shutting down gracefully...');
-  process.exit(0);
+  shutdown();
 });
\ No newline at end of file
@@ -1,14 +1,154 @@
 // ============================================
 // AI SERVICE
-// Gemini AI integration for message summarization
+// LLM integration for message summarization
 // ============================================
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const { GEMINI_API_KEY } = require('../config/env');
+const { getProvider, resolveProviderName } = require('./providers');
+const { chunkMessages, groupByBudget, estimateTokens } = require('./chunker');
+const {
+  validateSummary,
+  validateTopics,
+  validateMessageScores,
+  validateAnswer,
+  renderSummaryMarkdown,
+} = require('./summarySchema');
+const { aggregateSentiment } = require('./sentimentStats');
+const { retrieveMessages } = require('./retrievalService');
+const {
+  AI_CHUNK_TOKEN_BUDGET,
+  AI_CHUNK_GAP_MINUTES,
+  AI_JSON_MAX_RETRIES,
+} = require('../config/env');
 
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
-const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
+// The five sections every final summary covers
+const SUMMARY_SECTIONS = `1. **Main Topics**: What are the key subjects discussed?
+2. **Key Decisions**: What agreements or conclusions were reached?
+3. **Action Items**: What tasks or responsibilities were assigned? (Format: "Name: Task")
+4. **Important Updates**: Any significant announcements or information shared?
+5. **Overall Tone**: What is the mood/sentiment of the conversation?`;
+
+// Bump whenever prompts change so cached summaries are regenerated
+const PROMPT_VERSION = '6';
+
+// Explains the reaction markers added by formatMessage
+const REACTIONS_NOTE = 'Emoji reactions follow a message in braces, e.g. {👍×3 ❤️}. Heavily-reacted messages mattered to the group: give them more weight.';
+
+// Explains the "You" sender added by formatMessage for the user's own messages
+const OWN_MESSAGES_NOTE = 'Messages from "You" were sent by the person reading this: refer to them as "you", and assign their action items to "You".';
+
+// Output formats supported by summarizeMessages
+const SUMMARY_FORMATS = ['markdown', 'structured'];
+
+// Earlier Q&A turns included in follow-up prompts
+const ANSWER_HISTORY_TURNS = 5;
+
+// JSON shape requested for structured summaries
+const STRUCTURED_SUMMARY_FORMAT = `{
+  "topics": ["main subject discussed"],
+  "decisions": ["agreement or conclusion reached"],
+  "actionItems": [{"assignee": "Name", "task": "what they need to do", "dueDate": "when, if mentioned, else null"}],
+  "updates": ["significant announcement or information shared"],
+  "tone": "mood/sentiment of the conversation in a few words"
+}`;
+
+/**
+ * Format a duration in seconds as m:ss
+ * @param {number} seconds - Duration
+ * @returns {string} - e.g. "0:42"
+ */
+const formatDuration = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(Math.round(seconds % 60)).padStart(2, '0')}`;
+};
+
+/**
+ * Describe a message's content in words, so media shows up in prompts
+ * (e.g. "[image: caption]", "[voice note 0:42]")
+ * @param {Object} msg - Message object
+ * @returns {string} - Text content or a bracketed description
+ */
+const describeContent = (msg) => {
+  const content = msg.content || '';
+  const media = msg.media || {};
+  const caption = content ? `: ${content}` : '';
+  const duration = media.duration ? ` ${formatDuration(media.duration)}` : '';
+  
+  switch (msg.type) {
+    case 'image':
+    case 'gif':
+    case 'sticker':
+      return `[${msg.type}${caption}]`;
+    case 'video':
+      return `[video${duration}${caption}]`;
+    case 'voice':
+      return `[voice note${duration}]`;
+    case 'audio':
+      return `[audio${duration}]`;
+    case 'document':
+      return `[document: ${media.fileName || 'file'}${content ? ` - ${content}` : ''}]`;
+    case 'location': {
+      const coordinates = media.latitude != null ? `(${media.latitude}, ${media.longitude})` : '';
+      const place = [media.name, coordinates].filter(Boolean).join(' ') || 'shared';
+      return `[location: ${place}${content ? ` - ${content}` : ''}]`;
+    }
+    case 'contact':
+      return `[contact: ${media.name || 'unknown'}]`;
+    default:
+      return content;
+  }
+};
+
+/**
+ * Format reactions as a compact marker, most frequent first (e.g. " {👍×3 ❤️}")
+ * @param {Array} reactions - [{ sender, emoji }]
+ * @returns {string} - Marker, or '' without reactions
+ */
+const formatReactions = (reactions = []) => {
+  if (reactions.length === 0) {
+    return '';
+  }
+  
+  const counts = new Map();
+  reactions.forEach(({ emoji }) => counts.set(emoji, (counts.get(emoji) || 0) + 1));
+  
+  const parts = [...counts]
+    .sort((a, b) => b[1] - a[1])
+    .map(([emoji, count]) => (count > 1 ? `${emoji}×${count}` : emoji));
+  
+  return ` {${parts.join(' ')}}`;
+};
+
+/**
+ * Render the quoted message a reply refers to
+ * @param {Object} replyTo - { messageId, sender, content }
+ * @returns {string} - Marker, or '' if the message is not a reply
+ */
+const formatReplyTo = (replyTo) => {
+  if (!replyTo?.messageId) {
+    return '';
+  }
+  
+  const snippet = replyTo.content && replyTo.content.length > 80
+    ? `${replyTo.content.substring(0, 80)}...`
+    : replyTo.content;
+  
+  return snippet
+    ? `[replying to ${replyTo.sender || 'Unknown'}: "${snippet}"] `
+    : `[replying to ${replyTo.sender || 'Unknown'}] `;
+};
+
+/**
+ * Format a single message for AI consumption
+ * @param {Object} msg - Message object
+ * @returns {string} - Formatted line
+ */
+const formatMessage = (msg) => {
+  // The reader's own messages, so summaries can address them directly
+  const sender = msg.fromMe ? 'You' : (msg.sender || 'Unknown');
+  const timestamp = new Date(msg.timestamp * 1000).toLocaleString();
+  
+  return `${sender} (${timestamp}): ${formatReplyTo(msg.replyTo)}${describeContent(msg)}${formatReactions(msg.reactions)}`;
+};
 
 /**
  * Format messages for AI consumption
@@ -16,145 +156,511 @@ const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
  * @returns {string} - Formatted conversation string
  */
 const formatMessages = (messages) => {
-  return messages.map(msg => {
-    const sender = msg.sender || 'Unknown';
-    const timestamp = new Date(msg.timestamp * 1000).toLocaleString();
-    const content = msg.content || '';
-    
-    return `${sender} (${timestamp}): ${content}`;
-  }).join('\n');
+  return messages.map(formatMessage).join('\n');
 };
 
 /**
- * Generate summary of messages using Gemini AI
- * @param {Array} messages - Array of message objects
- * @returns {Promise<string>} - AI-generated summary
+ * Split messages into token-budgeted chunks with the default settings
+ * @param {Array} messages - Messages sorted oldest first
+ * @returns {Array<Array>} - Message chunks
  */
-const summarizeMessages = async (messages) => {
+const chunkForPrompt = (messages) => {
+  return chunkMessages(messages, {
+    tokenBudget: AI_CHUNK_TOKEN_BUDGET,
+    gapMinutes: AI_CHUNK_GAP_MINUTES,
+    formatMessage,
+  });
+};
+
+/**
+ * Send a prompt to the configured provider
+ * @param {string} prompt - Full prompt text
+ * @param {Object} options - { provider?, task, signal? }
+ * @returns {Promise<string>} - Model output
+ */
+const generate = async (prompt, { provider, task, signal } = {}) => {
+  return getProvider(provider).generate(prompt, { task, signal });
+};
+
+/**
+ * Stream a prompt through the configured provider
+ * @param {string} prompt - Full prompt text
+ * @param {Object} options - { provider?, task, signal?, onToken }
+ * @returns {Promise<string>} - Full model output once the stream ends
+ */
+const streamText = async (prompt, { provider, task, signal, onToken }) => {
+  let text = '';
+  
+  for await (const delta of getProvider(provider).stream(prompt, { task, signal })) {
+    text += delta;
+    onToken(delta);
+  }
+  
+  return text;
+};
+
+/**
+ * Parse JSON from model output, tolerating code fences and surrounding text
+ * @param {string} text - Raw model output
+ * @returns {*} - Parsed value
+ * @throws {SyntaxError} - If no JSON could be parsed
+ */
+const parseJSON = (text) => {
+  const cleaned = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  
   try {
-    // Validate input
-    if (!messages || messages.length === 0) {
-      return 'No messages available to summarize.';
+    return JSON.parse(cleaned);
+  } catch (error) {
+    // Fall back to the outermost object/array in the text
+    const match = cleaned.match(/[\[{][\s\S]*[\]}]/);
+    if (!match) {
+      throw error;
     }
+    return JSON.parse(match[0]);
+  }
+};
+
+/**
+ * Generate JSON output and validate it, re-prompting with the
+ * validation errors when the model returns invalid JSON
+ * @param {string} prompt - Full prompt text
+ * @param {Function} validate - Returns an array of errors for a parsed value
+ * @param {Object} options - { provider?, task, signal? }
+ * @returns {Promise<*>} - Validated value
+ */
+const generateJSON = async (prompt, validate, options) => {
+  let errors = [];
+  
+  for (let attempt = 0; attempt <= AI_JSON_MAX_RETRIES; attempt++) {
+    options.signal?.throwIfAborted();
     
-    // Format messages for AI
-    const formattedMessages = formatMessages(messages);
+    const fullPrompt = attempt === 0
+      ? prompt
+      : `${prompt}
+
+Your previous reply was invalid: ${errors.join('; ')}.
+Reply again with ONLY the corrected JSON (no other text).`;
     
-    // Create prompt
-    const prompt = `You are analyzing a WhatsApp conversation. Provide a comprehensive summary covering:
+    const response = await generate(fullPrompt, options);
+    
+    let value;
+    try {
+      value = parseJSON(response);
+    } catch (parseError) {
+      errors = ['it was not valid JSON'];
+      continue;
+    }
+    
+    errors = validate(value);
+    if (errors.length === 0) {
+      return value;
+    }
+  }
+  
+  throw new Error(`Invalid ${options.task} JSON after ${AI_JSON_MAX_RETRIES + 1} attempts: ${errors.join('; ')}`);
+};
 
-1. **Main Topics**: What are the key subjects discussed?
-2. **Key Decisions**: What agreements or conclusions were reached?
-3. **Action Items**: What tasks or responsibilities were assigned? (Format: "Name: Task")
-4. **Important Updates**: Any significant announcements or information shared?
-5. **Overall Tone**: What is the mood/sentiment of the conversation?
+/**
+ * Turn a provider error into a message safe to show to users
+ * @param {Error} error - Error thrown by the provider
+ * @param {string} fallback - Message for errors without a specific explanation
+ * @returns {string} - Friendly error message
+ */
+const getFriendlyError = (error, fallback = 'Error generating summary. Please try again.') => {
+  if (error.message?.includes('API key') || error.message?.includes('API_KEY')) {
+    return 'Error: Invalid AI provider API key. Please check your configuration.';
+  }
+  
+  if (error.message?.includes('quota')) {
+    return 'Error: AI provider quota exceeded. Please try again later.';
+  }
+  
+  if (error.message?.includes('Unknown AI provider')) {
+    return `Error: ${error.message}.`;
+  }
+  
+  return fallback;
+};
+
+/**
+ * Summarize one chunk of a longer conversation into notes (map step)
+ * @param {Array} chunk - Messages in this chunk
+ * @param {number} index - Zero-based chunk index
+ * @param {number} total - Total number of chunks
+ * @param {Object} options - { provider? }
+ * @returns {Promise<string>} - Partial summary
+ */
+const summarizeChunk = async (chunk, index, total, options) => {
+  const from = new Date(chunk[0].timestamp * 1000).toLocaleString();
+  const to = new Date(chunk[chunk.length - 1].timestamp * 1000).toLocaleString();
+  
+  const prompt = `You are analyzing part ${index + 1} of ${total} of a long WhatsApp conversation (${from} - ${to}).
+Write compact notes for this part only, covering:
 
-Keep the summary concise (150-250 words) but thorough. Use bullet points where appropriate.
+${SUMMARY_SECTIONS}
 
-Conversation:
-${formattedMessages}`;
+Keep names, dates and numbers exactly as written. Skip sections with nothing to report.
+${REACTIONS_NOTE}
+${OWN_MESSAGES_NOTE}
+
+Conversation (part ${index + 1} of ${total}):
+${formatMessages(chunk)}`;
+  
+  const notes = await generate(prompt, { ...options, task: 'summary-chunk' });
+  return `Part ${index + 1} (${from} - ${to}):\n${notes}`;
+};
+
+/**
+ * Merge partial summaries into fewer, larger notes (reduce step)
+ * @param {Array<string>} partials - Partial summaries in chronological order
+ * @param {Object} options - { provider? }
+ * @returns {Promise<string>} - Merged notes
+ */
+const mergePartials = async (partials, options) => {
+  const prompt = `Below are notes from consecutive parts of one WhatsApp conversation, in chronological order.
+Merge them into a single set of notes covering:
+
+${SUMMARY_SECTIONS}
+
+Combine duplicates, keep later decisions over earlier ones, and keep names, dates and numbers exactly as written.
+
+Notes:
+${partials.join('\n\n')}`;
+  
+  return generate(prompt, { ...options, task: 'summary-merge' });
+};
+
+/**
+ * Build the final summary prompt from either raw messages or merged notes
+ * @param {string} body - Formatted conversation or merged notes
+ * @param {Object} options - { fromNotes, format, previousSummary? }
+ * @returns {string} - Prompt text
+ */
+const buildSummaryPrompt = (body, { fromNotes, format, previousSummary }) => {
+  const intro = fromNotes
+    ? 'You are summarizing a long WhatsApp conversation from notes taken on each part of it, in chronological order.'
+    : 'You are analyzing a WhatsApp conversation.';
+  
+  // Incremental mode: the reader already knows the previous summary
+  const context = previousSummary
+    ? `
+
+The reader has already seen this summary of the earlier part of the chat:
+${previousSummary}
+
+Cover ONLY what is new below, as a continuation: refer back to earlier topics where they are followed up, but do not repeat them.`
+    : '';
+  
+  const instructions = format === 'structured'
+    ? `Return ONLY a JSON object with this exact format (no other text):
+${STRUCTURED_SUMMARY_FORMAT}
+
+Use empty arrays for sections with nothing to report.`
+    : 'Keep the summary concise (150-250 words) but thorough. Use bullet points where appropriate.';
+  
+  return `${intro}${context} Provide a comprehensive summary covering:
+
+${SUMMARY_SECTIONS}
+
+${instructions}${fromNotes ? '' : `\n${REACTIONS_NOTE}`}
+${OWN_MESSAGES_NOTE}
+
+${fromNotes ? 'Notes' : 'Conversation'}:
+${body}`;
+};
+
+/**
+ * Run the final summary prompt in the requested format.
+ * Markdown summaries are streamed when an onToken callback is given;
+ * structured summaries are validated as a whole, so they never stream.
+ * @param {string} prompt - Prompt from buildSummaryPrompt
+ * @param {Object} options - { provider?, format?, signal?, onToken? }
+ * @returns {Promise<Object>} - { summary, structured }
+ */
+const generateSummary = async (prompt, options) => {
+  if (options.format === 'structured') {
+    const structured = await generateJSON(prompt, validateSummary, {
+      ...options,
+      task: 'summary-structured',
+    });
+    return { summary: renderSummaryMarkdown(structured), structured };
+  }
+  
+  const summary = options.onToken
+    ? await streamText(prompt, { ...options, task: 'summary' })
+    : await generate(prompt, { ...options, task: 'summary' });
+  
+  return { summary, structured: null };
+};
+
+/**
+ * Generate summary of messages.
+ * Conversations larger than the token budget are summarized map-reduce
+ * style: each chunk is summarized, then the partials are merged.
+ * With format 'structured' the summary is validated JSON and the
+ * markdown is rendered from it.
+ * @param {Array} messages - Array of message objects
+ * @param {Object} options - { provider?, format?, previousSummary?, signal?, onProgress?, onToken? }
+ *   format: 'markdown' | 'structured'
+ *   previousSummary: earlier summary to continue from (incremental mode)
+ *   signal: AbortSignal that cancels generation
+ *   onProgress: called with { stage, ... } as chunking stages complete
+ *   onToken: called with each text delta of the final summary (streaming)
+ * @returns {Promise<Object>} - { summary, structured, chunkCount, failed?, aborted? }
+ */
+const summarizeMessages = async (messages, options = {}) => {
+  const { signal, onProgress = () => {} } = options;
+  
+  try {
+    // Validate input
+    if (!messages || messages.length === 0) {
+      return { summary: 'No messages available to summarize.', structured: null, chunkCount: 0 };
+    }
     
-    // Generate summary with Gemini
-    const result = await model.generateContent(prompt);
-    const summary = await result.response.text();
+    // Split into token-budgeted chunks
+    const chunks = chunkForPrompt(messages);
+    onProgress({ stage: 'chunking', chunkCount: chunks.length });
     
-    return summary;
+    // Small conversation - single prompt
+    if (chunks.length === 1) {
+      const prompt = buildSummaryPrompt(formatMessages(messages), {
+        fromNotes: false,
+        format: options.format,
+        previousSummary: options.previousSummary,
+      });
+      
+      onProgress({ stage: 'final' });
+      return { ...await generateSummary(prompt, options), chunkCount: 1 };
+    }
     
-  } catch (error) {
-    console.error('Gemini AI error:', error);
+    // Map: summarize each chunk (sequentially to stay within rate limits)
+    let partials = [];
+    for (let i = 0; i < chunks.length; i++) {
+      signal?.throwIfAborted();
+      partials.push(await summarizeChunk(chunks[i], i, chunks.length, options));
+      onProgress({ stage: 'map', chunk: i + 1, chunkCount: chunks.length });
+    }
     
-    // Return friendly error message
-    if (error.message?.includes('API key')) {
-      return 'Error: Invalid Gemini API key. Please check your configuration.';
+    // Reduce: merge partials until they fit into one prompt
+    while (partials.length > 1 && estimateTokens(partials.join('\n\n')) > AI_CHUNK_TOKEN_BUDGET) {
+      let groups = groupByBudget(partials, AI_CHUNK_TOKEN_BUDGET);
+      
+      // Every partial is over budget on its own - merge in pairs so we still converge
+      if (groups.length === partials.length) {
+        groups = [];
+        for (let i = 0; i < partials.length; i += 2) {
+          groups.push(partials.slice(i, i + 2));
+        }
+      }
+      
+      const merged = [];
+      for (const group of groups) {
+        signal?.throwIfAborted();
+        merged.push(group.length === 1 ? group[0] : await mergePartials(group, options));
+      }
+      partials = merged;
+      onProgress({ stage: 'reduce', partialCount: partials.length });
     }
     
-    if (error.message?.includes('quota')) {
-      return 'Error: Gemini API quota exceeded. Please try again later.';
+    const prompt = buildSummaryPrompt(partials.join('\n\n'), {
+      fromNotes: true,
+      format: options.format,
+      previousSummary: options.previousSummary,
+    });
+    
+    onProgress({ stage: 'final' });
+    return { ...await generateSummary(prompt, options), chunkCount: chunks.length };
+    
+  } catch (error) {
+    // Client went away - not an error worth logging
+    if (signal?.aborted) {
+      return { summary: 'Summary generation cancelled.', structured: null, chunkCount: 0, failed: true, aborted: true };
     }
     
-    return 'Error generating summary. Please try again.';
+    console.error('AI provider error:', error);
+    return { summary: getFriendlyError(error), structured: null, chunkCount: 0, failed: true };
   }
 };
 
 /**
- * Extract key topics from messages
+ * Extract key topics from messages.
+ * Long conversations get topics per chunk, which are then merged.
  * @param {Array} messages - Array of message objects
+ * @param {Object} options - { provider?, signal? }
  * @returns {Promise<Array>} - Array of key topics
  */
-const extractTopics = async (messages) => {
+const extractTopics = async (messages, options = {}) => {
   try {
     if (!messages || messages.length === 0) {
       return [];
     }
     
-    const formattedMessages = formatMessages(messages);
+    const chunkTopics = [];
     
-    const prompt = `Extract the 3-5 main topics discussed in this WhatsApp conversation. 
+    for (const chunk of chunkForPrompt(messages)) {
+      options.signal?.throwIfAborted();
+      
+      const prompt = `Extract the 3-5 main topics discussed in this WhatsApp conversation. 
 Return ONLY a JSON array of topics (no other text).
 
 Example format: ["Planning event", "Budget discussion", "Team roles"]
 
 Conversation:
-${formattedMessages}`;
-    
-    const result = await model.generateContent(prompt);
-    const response = await result.response.text();
+${formatMessages(chunk)}`;
+      
+      chunkTopics.push(await generateJSON(prompt, validateTopics, { ...options, task: 'topics' }));
+    }
     
-    // Try to parse JSON response
-    try {
-      const topics = JSON.parse(response);
-      return Array.isArray(topics) ? topics : [];
-    } catch (parseError) {
-      // If not valid JSON, extract topics manually
-      const topicMatches = response.match(/"([^"]+)"/g);
-      return topicMatches ? topicMatches.map(t => t.replace(/"/g, '')) : [];
+    if (chunkTopics.length === 1) {
+      return chunkTopics[0];
     }
     
+    const prompt = `These topic lists come from consecutive parts of one WhatsApp conversation.
+Merge them into the 3-5 main topics of the whole conversation.
+Return ONLY a JSON array of topics (no other text).
+
+Topic lists:
+${chunkTopics.map((topics, i) => `Part ${i + 1}: ${JSON.stringify(topics)}`).join('\n')}`;
+    
+    return await generateJSON(prompt, validateTopics, { ...options, task: 'topics' });
+    
   } catch (error) {
-    console.error('Topic extraction error:', error);
+    // Client went away - not an error worth logging
+    if (!options.signal?.aborted) {
+      console.error('Topic extraction error:', error);
+    }
     return [];
   }
 };
 
 /**
- * Analyze sentiment of conversation
- * @param {Array} messages - Array of message objects
- * @returns {Promise<Object>} - Sentiment analysis
+ * Analyze sentiment of conversation.
+ * The model scores every message (-1 to 1), chunk by chunk; the scores are
+ * then aggregated overall, per participant and per time bucket.
+ * @param {Array} messages - Array of message objects (oldest first)
+ * @param {Object} options - { provider?, bucketMinutes?, signal? }
+ * @returns {Promise<Object>} - { overall, participants, timeline, bucketMinutes }
  */
-const analyzeSentiment = async (messages) => {
+const analyzeSentiment = async (messages, options = {}) => {
   try {
     if (!messages || messages.length === 0) {
-      return { sentiment: 'neutral', confidence: 0 };
+      return aggregateSentiment([], new Map(), options.bucketMinutes);
     }
     
-    const formattedMessages = formatMessages(messages);
+    const scores = new Map();
+    let offset = 0;
     
-    const prompt = `Analyze the overall sentiment of this WhatsApp conversation.
+    for (const chunk of chunkForPrompt(messages)) {
+      options.signal?.throwIfAborted();
+      
+      const numbered = chunk
+        .map((msg, i) => `[${i}] ${formatMessage(msg)}`)
+        .join('\n');
+      
+      const prompt = `Score the sentiment of each message in this WhatsApp conversation
+from -1 (very negative) through 0 (neutral) to 1 (very positive).
 Return ONLY a JSON object with this exact format (no other text):
-{"sentiment": "positive|neutral|negative", "confidence": 0.0-1.0, "summary": "brief explanation"}
+{"scores": [{"i": 0, "score": 0.5}, {"i": 1, "score": -0.2}]}
+
+Include one entry per message, using the number in square brackets as "i".
 
 Conversation:
-${formattedMessages}`;
+${numbered}`;
+      
+      const result = await generateJSON(prompt, validateMessageScores, { ...options, task: 'sentiment' });
+      
+      // Ignore indexes the model made up
+      result.scores
+        .filter(item => item.i < chunk.length)
+        .forEach(item => scores.set(offset + item.i, item.score));
+      
+      offset += chunk.length;
+    }
     
-    const result = await model.generateContent(prompt);
-    const response = await result.response.text();
+    return aggregateSentiment(messages, scores, options.bucketMinutes);
     
-    // Try to parse JSON response
-    try {
-      const sentiment = JSON.parse(response);
-      return sentiment;
-    } catch (parseError) {
-      return { sentiment: 'neutral', confidence: 0.5, summary: 'Unable to analyze' };
+  } catch (error) {
+    if (!options.signal?.aborted) {
+      console.error('Sentiment analysis error:', error);
     }
+    return null;
+  }
+};
+
+/**
+ * Answer a question about a chat, citing the messages the answer is based on.
+ * Only the messages most relevant to the question (and recent follow-ups)
+ * are sent to the model, so long chats stay within the token budget.
+ * @param {string} question - User's question
+ * @param {Array} messages - Array of message objects (oldest first)
+ * @param {Object} options - { provider?, history? }
+ *   history: earlier turns of the conversation [{ question, answer }]
+ * @returns {Promise<Object>} - { answer, citations: [message object], retrievedCount, failed? }
+ */
+const answerQuestion = async (question, messages, options = {}) => {
+  try {
+    if (!messages || messages.length === 0) {
+      return { answer: 'No messages available to answer from.', citations: [], retrievedCount: 0 };
+    }
+    
+    const history = (options.history || []).slice(-ANSWER_HISTORY_TURNS);
+    
+    // Follow-ups like "and when is it?" only make sense with the earlier questions
+    const query = [...history.map(turn => turn.question), question].join(' ');
+    const excerpt = retrieveMessages(messages, query, {
+      tokenBudget: AI_CHUNK_TOKEN_BUDGET,
+      formatMessage,
+    });
+    
+    const byId = new Map(excerpt.map(msg => [msg.messageId, msg]));
+    
+    const previous = history.length > 0
+      ? `
+Earlier questions and answers in this conversation:
+${history.map(turn => `Q: ${turn.question}\nA: ${turn.answer}`).join('\n\n')}
+`
+      : '';
+    
+    const prompt = `You are answering a question about a WhatsApp conversation.
+Answer using ONLY the messages below. If they do not contain the answer, say so.
+Return ONLY a JSON object with this exact format (no other text):
+{"answer": "your answer", "citations": ["message ID", "message ID"]}
+
+Cite the IDs (in square brackets) of the messages your answer is based on.
+${OWN_MESSAGES_NOTE}
+${previous}
+Messages:
+${excerpt.map(msg => `[${msg.messageId}] ${formatMessage(msg)}`).join('\n')}
+
+Question: ${question}`;
+    
+    const result = await generateJSON(prompt, validateAnswer, { ...options, task: 'answer' });
+    
+    // Ignore IDs the model made up
+    const citations = [...new Set(result.citations)]
+      .filter(id => byId.has(id))
+      .map(id => byId.get(id));
+    
+    return { answer: result.answer, citations, retrievedCount: excerpt.length };
     
   } catch (error) {
-    console.error('Sentiment analysis error:', error);
-    return { sentiment: 'neutral', confidence: 0, summary: 'Error analyzing sentiment' };
+    console.error('Question answering error:', error);
+    return {
+      answer: getFriendlyError(error, 'Error answering question. Please try again.'),
+      citations: [],
+      retrievedCount: 0,
+      failed: true,
+    };
   }
 };
 
 module.exports = {
+  PROMPT_VERSION,
+  SUMMARY_FORMATS,
+  resolveProviderName,
+  describeContent,
   summarizeMessages,
   extractTopics,
   analyzeSentiment,
+  answerQuestion,
 };
\ No newline at end of file
@@ -0,0 +1,202 @@
+// ============================================
+// AUTH STATE SERVICE
+// Baileys auth state (credentials + Signal key store) backed by MongoDB
+// ============================================
+
+const { BufferJSON, initAuthCreds, proto } = require('@whiskeysockets/baileys');
+const WhatsAppAuth = require('../models/WhatsAppAuth');
+const WhatsAppKey = require('../models/WhatsAppKey');
+
+/**
+ * Serialize auth data, keeping Buffers intact
+ * @param {*} value - Credentials or key data
+ * @returns {string} - JSON
+ */
+const serialize = (value) => JSON.stringify(value, BufferJSON.replacer);
+
+/**
+ * Parse auth data written by serialize
+ * @param {string} json - JSON
+ * @returns {*} - Credentials or key data with Buffers restored
+ */
+const deserialize = (json) => JSON.parse(json, BufferJSON.reviver);
+
+/**
+ * Turn a legacy auth value read from a Mixed field back into Baileys data.
+ * Buffers saved into Mixed come back as BSON Binary objects.
+ * @param {*} value - Raw value from the legacy authState field
+ * @returns {*} - Same value with Buffers restored
+ */
+const reviveLegacyValue = (value) => {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (value._bsontype === 'Binary') {
+    return Buffer.from(value.buffer);
+  }
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+    return Buffer.from(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(reviveLegacyValue);
+  }
+  
+  const revived = Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [key, reviveLegacyValue(item)])
+  );
+  
+  // { type: 'Buffer', data: [bytes] } from Buffer#toJSON
+  if (revived.type === 'Buffer' && Array.isArray(revived.data)) {
+    return Buffer.from(revived.data);
+  }
+  
+  // { type: 'Buffer', data: base64 } and { 0: byte, 1: byte, ... } from an earlier BufferJSON round trip
+  return BufferJSON.reviver('', revived);
+};
+
+/**
+ * Build key upserts/deletes for a Baileys key update
+ * @param {string} userId - User ID
+ * @param {Object} data - { [type]: { [id]: value | null } }
+ * @returns {Array} - bulkWrite operations
+ */
+const toKeyOperations = (userId, data) => {
+  const operations = [];
+  
+  for (const [type, entries] of Object.entries(data)) {
+    for (const [keyId, value] of Object.entries(entries || {})) {
+      const filter = { userId, type, keyId };
+      
+      operations.push(value
+        ? { updateOne: { filter, update: { $set: { value: serialize(value) } }, upsert: true } }
+        : { deleteOne: { filter } });
+    }
+  }
+  
+  return operations;
+};
+
+/**
+ * Move a legacy auth document (whole state in authState) to the current
+ * layout: serialized creds on the document, one WhatsAppKey per key
+ * @param {Object} authDoc - WhatsAppAuth document with authState set
+ * @returns {Promise<Object>} - Migrated document
+ */
+const migrateLegacyAuthState = async (authDoc) => {
+  const legacy = reviveLegacyValue(authDoc.authState) || {};
+  const operations = toKeyOperations(authDoc.userId, legacy.keys || {});
+  
+  if (operations.length > 0) {
+    await WhatsAppKey.bulkWrite(operations, { ordered: false });
+  }
+  
+  authDoc.creds = authDoc.creds || (legacy.creds ? serialize(legacy.creds) : null);
+  authDoc.authState = undefined;
+  await authDoc.save();
+  
+  console.log(`🔁 Migrated WhatsApp auth state for user ${authDoc.userId} (${operations.length} key(s))`);
+  return authDoc;
+};
+
+/**
+ * Signal key store for one user (Baileys SignalKeyStore interface)
+ * @param {string} userId - User ID
+ * @returns {Object} - { get(type, ids), set(data), clear() }
+ */
+const createKeyStore = (userId) => ({
+  get: async (type, ids) => {
+    const docs = await WhatsAppKey.find({ userId, type, keyId: { $in: ids } })
+      .select('keyId value')
+      .lean();
+    
+    const data = {};
+    for (const doc of docs) {
+      let value = deserialize(doc.value);
+      if (type === 'app-state-sync-key' && value) {
+        value = proto.Message.AppStateSyncKeyData.fromObject(value);
+      }
+      data[doc.keyId] = value;
+    }
+    return data;
+  },
+  
+  set: async (data) => {
+    const operations = toKeyOperations(userId, data);
+    if (operations.length > 0) {
+      await WhatsAppKey.bulkWrite(operations, { ordered: false });
+    }
+  },
+  
+  clear: async () => {
+    await WhatsAppKey.deleteMany({ userId });
+  },
+});
+
+/**
+ * MongoDB-based auth state for a user (replacement for useMultiFileAuthState)
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { state: { creds, keys }, saveCreds }
+ */
+const useMongoDBAuthState = async (userId) => {
+  let authDoc = await WhatsAppAuth.findOne({ userId });
+  
+  if (authDoc?.authState) {
+    authDoc = await migrateLegacyAuthState(authDoc);
+  }
+  
+  const creds = authDoc?.creds ? deserialize(authDoc.creds) : initAuthCreds();
+  
+  if (!authDoc) {
+    await WhatsAppAuth.create({ userId, creds: serialize(creds) });
+  }
+  
+  return {
+    state: {
+      creds,
+      keys: createKeyStore(userId),
+    },
+    // Baileys mutates creds in place and calls this on every change
+    saveCreds: async () => {
+      await WhatsAppAuth.updateOne(
+        { userId },
+        { creds: serialize(creds), lastConnected: new Date() },
+        { upsert: true }
+      );
+    },
+  };
+};
+
+/**
+ * Delete a user's credentials and keys (logged out / disconnected)
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+const clearAuthState = async (userId) => {
+  await Promise.all([
+    WhatsAppAuth.findOneAndDelete({ userId }),
+    WhatsAppKey.deleteMany({ userId }),
+  ]);
+};
+
+/**
+ * Migrate every legacy auth document, connected or not (see src/scripts/encryption.js)
+ * @returns {Promise<number>} - Documents migrated
+ */
+const migrateLegacyAuthStates = async () => {
+  const legacyDocs = await WhatsAppAuth.find({ authState: { $exists: true } });
+  
+  for (const authDoc of legacyDocs) {
+    await migrateLegacyAuthState(authDoc);
+  }
+  
+  return legacyDocs.length;
+};
+
+module.exports = {
+  serialize,
+  deserialize,
+  reviveLegacyValue,
+  useMongoDBAuthState,
+  clearAuthState,
+  migrateLegacyAuthStates,
+};
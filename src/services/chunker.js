@@ -0,0 +1,93 @@
+// ============================================
+// CONVERSATION CHUNKER
+// Splits long conversations into token-budgeted chunks
+// ============================================
+
+// Rough average for English chat text; good enough for budgeting
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Estimate the number of tokens in a piece of text
+ * @param {string} text - Text to measure
+ * @returns {number} - Approximate token count
+ */
+const estimateTokens = (text) => {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+};
+
+/**
+ * Split messages into chunks that each fit the token budget.
+ * A long silence (gapMinutes) closes the current chunk early once it is
+ * at least half full, so chunks follow the natural flow of the chat.
+ * @param {Array} messages - Messages sorted oldest first
+ * @param {Object} options - { tokenBudget, gapMinutes, formatMessage }
+ * @returns {Array<Array>} - Array of message chunks
+ */
+const chunkMessages = (messages, { tokenBudget, gapMinutes, formatMessage }) => {
+  const gapSeconds = gapMinutes * 60;
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+  
+  for (const msg of messages) {
+    const tokens = estimateTokens(formatMessage(msg)) + 1; // +1 for the newline
+    const previous = current[current.length - 1];
+    
+    const overBudget = currentTokens + tokens > tokenBudget;
+    const longGap = previous
+      && msg.timestamp - previous.timestamp >= gapSeconds
+      && currentTokens >= tokenBudget / 2;
+    
+    if (current.length > 0 && (overBudget || longGap)) {
+      chunks.push(current);
+      current = [];
+      currentTokens = 0;
+    }
+    
+    current.push(msg);
+    currentTokens += tokens;
+  }
+  
+  if (current.length > 0) {
+    chunks.push(current);
+  }
+  
+  return chunks;
+};
+
+/**
+ * Group texts (e.g. partial summaries) so each group fits the token budget
+ * @param {Array<string>} texts - Texts to group
+ * @param {number} tokenBudget - Max tokens per group
+ * @returns {Array<Array<string>>} - Groups of texts
+ */
+const groupByBudget = (texts, tokenBudget) => {
+  const groups = [];
+  let current = [];
+  let currentTokens = 0;
+  
+  for (const text of texts) {
+    const tokens = estimateTokens(text);
+    
+    if (current.length > 0 && currentTokens + tokens > tokenBudget) {
+      groups.push(current);
+      current = [];
+      currentTokens = 0;
+    }
+    
+    current.push(text);
+    currentTokens += tokens;
+  }
+  
+  if (current.length > 0) {
+    groups.push(current);
+  }
+  
+  return groups;
+};
+
+module.exports = {
+  estimateTokens,
+  chunkMessages,
+  groupByBudget,
+};
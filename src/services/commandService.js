@@ -0,0 +1,267 @@
+// ============================================
+// COMMAND SERVICE
+// In-WhatsApp bot commands (!summary, !ask, !digest) sent from the user's own account
+// ============================================
+
+const User = require('../models/User');
+const messageService = require('./messageService');
+const aiService = require('./aiService');
+const digestService = require('./digestService');
+const { toWhatsAppText } = require('../utils/whatsappFormat');
+
+// Defaults for users created before bot commands existed
+const DEFAULT_SETTINGS = { enabled: true, prefix: '!' };
+
+// Seconds per duration unit ("30m", "6h", "2d")
+const DURATION_UNITS = { m: 60, h: 60 * 60, d: 24 * 60 * 60 };
+
+/**
+ * Parse a duration like "6h"
+ * @param {string} value - Duration text
+ * @returns {number|null} - Seconds, or null if not a duration
+ */
+const parseDuration = (value) => {
+  const match = /^(\d+)([mhd])$/i.exec(value || '');
+  if (!match || Number(match[1]) === 0) {
+    return null;
+  }
+  return Number(match[1]) * DURATION_UNITS[match[2].toLowerCase()];
+};
+
+/**
+ * Split a message into a command name and its arguments
+ * @param {string} text - Message text
+ * @param {string} prefix - Command prefix (e.g. "!")
+ * @returns {Object|null} - { name, args } or null if not a known command
+ */
+const parseCommand = (text, prefix) => {
+  if (!text.startsWith(prefix)) {
+    return null;
+  }
+  
+  const [name = '', ...rest] = text.slice(prefix.length).trim().split(/\s+/);
+  const command = name.toLowerCase();
+  
+  if (!COMMANDS[command]) {
+    return null;
+  }
+  
+  return { name: command, args: rest.join(' ') };
+};
+
+/**
+ * !summary [30m|6h|2d] - Summarize this chat (optionally only the recent part)
+ * @param {Object} context - { userId, chatId, args, provider, prefix }
+ * @returns {Promise<string>} - Reply text
+ */
+const runSummary = async ({ userId, chatId, args, provider, prefix }) => {
+  const seconds = args ? parseDuration(args) : null;
+  if (args && !seconds) {
+    return `Usage: ${prefix}summary [30m | 6h | 2d]`;
+  }
+  
+  const since = seconds ? Math.floor(Date.now() / 1000) - seconds : undefined;
+  const messages = await messageService.getChatMessages(userId, chatId, 500, { since });
+  const period = seconds ? ` in the last ${args}` : '';
+  
+  if (messages.length === 0) {
+    return `No messages to summarize${period}.`;
+  }
+  
+  const result = await aiService.summarizeMessages(messages, { provider });
+  return `**Summary** (${messages.length} message(s)${period})\n\n${result.summary}`;
+};
+
+/**
+ * !ask <question> - Answer a question about this chat
+ * @param {Object} context - { userId, chatId, args, provider, prefix }
+ * @returns {Promise<string>} - Reply text
+ */
+const runAsk = async ({ userId, chatId, args, provider, prefix }) => {
+  if (!args) {
+    return `Usage: ${prefix}ask <question>`;
+  }
+  
+  const messages = await messageService.getChatMessages(userId, chatId, 500);
+  if (messages.length === 0) {
+    return 'No messages in this chat to answer from.';
+  }
+  
+  const result = await aiService.answerQuestion(args, messages, { provider });
+  const sources = result.citations.map((msg) => {
+    const text = aiService.describeContent(msg);
+    const content = text.length > 60 ? `${text.substring(0, 60)}...` : text;
+    return `- ${msg.sender}: "${content}"`;
+  });
+  
+  return sources.length > 0
+    ? `${result.answer}\n\n_Sources:_\n${sources.join('\n')}`
+    : result.answer;
+};
+
+/**
+ * !digest [6h|2d] - Briefing across all chats (default: last 24 hours)
+ * @param {Object} context - { userId, args, provider, prefix }
+ * @returns {Promise<string>} - Reply text
+ */
+const runDigest = async ({ userId, args, provider, prefix }) => {
+  const seconds = args ? parseDuration(args) : 24 * 60 * 60;
+  if (!seconds) {
+    return `Usage: ${prefix}digest [6h | 2d]`;
+  }
+  
+  const digest = await digestService.buildDigest(userId, {
+    since: Math.floor(Date.now() / 1000) - seconds,
+    maxChats: 10,
+    provider,
+  });
+  
+  return digest.digest || 'No active chats in that time.';
+};
+
+/**
+ * !help - List the available commands
+ * @param {Object} context - { prefix }
+ * @returns {Promise<string>} - Reply text
+ */
+const runHelp = async ({ prefix }) => {
+  return [
+    '**Commands**',
+    `${prefix}summary [6h] - summarize this chat`,
+    `${prefix}ask <question> - ask about this chat`,
+    `${prefix}digest [24h] - briefing across all chats`,
+    `${prefix}help - this list`,
+  ].join('\n');
+};
+
+// Command name -> handler
+const COMMANDS = {
+  summary: runSummary,
+  ask: runAsk,
+  digest: runDigest,
+  help: runHelp,
+};
+
+/**
+ * Load a user's bot command settings
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { settings: { enabled, prefix }, provider }
+ */
+const getCommandSettings = async (userId) => {
+  const user = await User.findById(userId).select('botCommands aiProvider').lean();
+  return { settings: { ...DEFAULT_SETTINGS, ...user?.botCommands }, provider: user?.aiProvider };
+};
+
+/**
+ * Whether a message is a bot command or the bot's reply to one.
+ * Replies are own messages quoting the command they answer.
+ * @param {Object} msg - Baileys message object
+ * @param {string} prefix - Command prefix
+ * @returns {boolean} - True if the message must not be stored
+ */
+const isCommandTraffic = (msg, prefix) => {
+  if (!msg.key?.fromMe) {
+    return false;
+  }
+  
+  const text = messageService.extractText(msg)?.trim();
+  if (text && parseCommand(text, prefix)) {
+    return true;
+  }
+  
+  const quoted = messageService.extractReplyTo(msg)?.content.trim();
+  return Boolean(quoted && parseCommand(quoted, prefix));
+};
+
+/**
+ * Drop bot commands and the bot's replies from a batch of messages
+ * (history imports, where earlier sessions' commands come back)
+ * @param {string} userId - User ID
+ * @param {Array} messages - Baileys message objects
+ * @returns {Promise<Array>} - Messages that may be stored
+ */
+const filterCommandTraffic = async (userId, messages) => {
+  if (!messages.some(msg => msg.key?.fromMe)) {
+    return messages;
+  }
+  
+  const { settings } = await getCommandSettings(userId);
+  if (!settings.enabled) {
+    return messages;
+  }
+  
+  return messages.filter(msg => !isCommandTraffic(msg, settings.prefix));
+};
+
+/**
+ * Run a command and reply in the same chat, quoting the command
+ * @param {string} userId - User ID
+ * @param {Object} sock - Baileys socket
+ * @param {Object} msg - Command message
+ * @param {Object} command - { name, args } from parseCommand
+ * @param {Object} options - { provider, prefix }
+ * @returns {Promise<void>}
+ */
+const runCommand = async (userId, sock, msg, command, { provider, prefix }) => {
+  const reply = await COMMANDS[command.name]({
+    userId,
+    chatId: msg.key.remoteJid,
+    args: command.args,
+    provider,
+    prefix,
+  });
+  
+  await messageService.sendUnstoredMessage(sock, msg.key.remoteJid, { text: toWhatsAppText(reply) }, { quoted: msg });
+};
+
+/**
+ * Answer a bot command, if the message is one.
+ * Only messages the user sent from their own account count, and only
+ * while commands are enabled for them. The command runs in the
+ * background (summaries can take a while), so this resolves as soon as
+ * the message is recognized and incoming messages are not held up.
+ * @param {string} userId - User ID
+ * @param {Object} sock - Baileys socket
+ * @param {Object} msg - Baileys message object
+ * @returns {Promise<boolean>} - True if the message was a command (and must not be stored)
+ */
+const handleCommand = async (userId, sock, msg) => {
+  if (!msg.key?.fromMe) {
+    return false;
+  }
+  
+  const text = messageService.extractText(msg);
+  if (!text) {
+    return false;
+  }
+  
+  let settings;
+  let provider;
+  try {
+    ({ settings, provider } = await getCommandSettings(userId));
+  } catch (error) {
+    console.error('Error loading bot command settings:', error);
+    return false;
+  }
+  
+  const command = settings.enabled ? parseCommand(text.trim(), settings.prefix) : null;
+  if (!command) {
+    return false;
+  }
+  
+  console.log(`🤖 Command ${settings.prefix}${command.name} from user ${userId}`);
+  
+  // A failed command is still a command - never store it as chat content
+  runCommand(userId, sock, msg, command, { provider, prefix: settings.prefix }).catch((error) => {
+    console.error('Error handling bot command:', error);
+  });
+  return true;
+};
+
+module.exports = {
+  parseDuration,
+  parseCommand,
+  isCommandTraffic,
+  filterCommandTraffic,
+  handleCommand,
+};
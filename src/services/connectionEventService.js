@@ -0,0 +1,47 @@
+// ============================================
+// CONNECTION EVENT SERVICE
+// Persist and read the WhatsApp connection event log
+// ============================================
+
+const ConnectionEvent = require('../models/ConnectionEvent');
+
+/**
+ * Log a connection event (failures are logged, never thrown -
+ * the connection matters more than its history)
+ * @param {string} userId - User ID
+ * @param {string} type - Event type (see ConnectionEvent)
+ * @param {Object} details - { reason?, statusCode?, message?, attempt?, delayMs? }
+ * @returns {Promise<Object|null>} - Created event or null
+ */
+const logEvent = async (userId, type, details = {}) => {
+  try {
+    return await ConnectionEvent.create({ userId, type, ...details });
+  } catch (error) {
+    console.error('Error logging connection event:', error);
+    return null;
+  }
+};
+
+/**
+ * Get a user's connection events, newest first
+ * @param {string} userId - User ID
+ * @param {Object} options - { limit, before? } (only events before this date)
+ * @returns {Promise<Array>} - Events
+ */
+const getEvents = async (userId, { limit = 50, before } = {}) => {
+  const filter = { userId };
+  if (before) {
+    filter.createdAt = { $lt: before };
+  }
+  
+  return ConnectionEvent.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .select('-userId -__v')
+    .lean();
+};
+
+module.exports = {
+  logEvent,
+  getEvents,
+};
@@ -0,0 +1,225 @@
+// ============================================
+// CONTACT SERVICE
+// Keep chat/group/contact names in sync and resolve display names
+// ============================================
+
+const Chat = require('../models/Chat');
+const Contact = require('../models/Contact');
+
+/**
+ * Build an upsert for one document, skipping fields WhatsApp did not send
+ * @param {Object} filter - Document key
+ * @param {Object} fields - Fields to set (undefined values are left unchanged)
+ * @returns {Object|null} - bulkWrite operation, or null if nothing to set
+ */
+const toUpsert = (filter, fields) => {
+  const $set = Object.fromEntries(
+    Object.entries(fields).filter(([, value]) => value !== undefined)
+  );
+  
+  if (Object.keys($set).length === 0) {
+    return null;
+  }
+  
+  return { updateOne: { filter, update: { $set }, upsert: true } };
+};
+
+/**
+ * Run upserts, ignoring empty batches
+ * @param {Object} Model - Mongoose model
+ * @param {Array} operations - bulkWrite operations (nulls are skipped)
+ * @returns {Promise<number>} - Operations written
+ */
+const writeUpserts = async (Model, operations) => {
+  const ops = operations.filter(Boolean);
+  if (ops.length > 0) {
+    await Model.bulkWrite(ops, { ordered: false });
+  }
+  return ops.length;
+};
+
+/**
+ * Save contacts from contacts.upsert / contacts.update / history sync
+ * @param {string} userId - User ID
+ * @param {Array} contacts - Baileys contacts ({ id, lid?, phoneNumber?, name?, notify?, verifiedName? })
+ * @returns {Promise<number>} - Contacts written
+ */
+const saveContacts = async (userId, contacts = []) => {
+  try {
+    const operations = contacts.flatMap((contact) => {
+      // A contact can be addressed by phone number or LID - store the names under each
+      const ids = [...new Set([contact.id, contact.lid, contact.phoneNumber].filter(Boolean))];
+      
+      return ids.map(contactId => toUpsert(
+        { userId, contactId },
+        { name: contact.name, notify: contact.notify, verifiedName: contact.verifiedName }
+      ));
+    });
+    
+    return await writeUpserts(Contact, operations);
+  } catch (error) {
+    console.error('Error saving contacts:', error);
+    return 0;
+  }
+};
+
+/**
+ * Save chat names from chats.upsert / chats.update / history sync
+ * @param {string} userId - User ID
+ * @param {Array} chats - Baileys chats ({ id, name? })
+ * @returns {Promise<number>} - Chats written
+ */
+const saveChats = async (userId, chats = []) => {
+  try {
+    const operations = chats
+      .filter(chat => chat.id && chat.name)
+      .map(chat => toUpsert(
+        { userId, chatId: chat.id },
+        { name: chat.name, isGroup: chat.id.endsWith('@g.us') }
+      ));
+    
+    return await writeUpserts(Chat, operations);
+  } catch (error) {
+    console.error('Error saving chats:', error);
+    return 0;
+  }
+};
+
+/**
+ * Save group subjects from groupMetadata / groups.upsert / groups.update
+ * @param {string} userId - User ID
+ * @param {Array} groups - Baileys group metadata ({ id, subject?, participants? })
+ * @returns {Promise<number>} - Groups written
+ */
+const saveGroups = async (userId, groups = []) => {
+  try {
+    const operations = groups
+      .filter(group => group.id)
+      .map(group => toUpsert(
+        { userId, chatId: group.id },
+        {
+          name: group.subject,
+          isGroup: true,
+          participantCount: group.participants?.length,
+        }
+      ));
+    
+    return await writeUpserts(Chat, operations);
+  } catch (error) {
+    console.error('Error saving groups:', error);
+    return 0;
+  }
+};
+
+/**
+ * Make sure a group's subject is known, fetching its metadata if not
+ * @param {string} userId - User ID
+ * @param {Object} sock - Baileys socket
+ * @param {string} chatId - Group JID
+ * @returns {Promise<boolean>} - True if the group has a name
+ */
+const ensureGroup = async (userId, sock, chatId) => {
+  try {
+    const existing = await Chat.exists({ userId, chatId, name: { $ne: null } });
+    if (existing) {
+      return true;
+    }
+    
+    const metadata = await sock.groupMetadata(chatId);
+    await saveGroups(userId, [metadata]);
+    return Boolean(metadata?.subject);
+  } catch (error) {
+    console.error(`Error fetching group metadata for ${chatId}:`, error);
+    return false;
+  }
+};
+
+/**
+ * Resolve display names for chats.
+ * Groups use their subject; direct chats the address-book name, the chat
+ * name, or the contact's own profile name. Falls back to the given name
+ * (e.g. a stored push name) and finally the phone number.
+ * @param {string} userId - User ID
+ * @param {Array} chatIds - Chat JIDs
+ * @param {Object} fallbacks - Optional chatId -> fallback name
+ * @returns {Promise<Map>} - chatId -> display name
+ */
+const getChatNames = async (userId, chatIds, fallbacks = {}) => {
+  const names = new Map();
+  let chats = [];
+  let contacts = [];
+  
+  try {
+    [chats, contacts] = await Promise.all([
+      Chat.find({ userId, chatId: { $in: chatIds } }).select('chatId name').lean(),
+      Contact.find({ userId, contactId: { $in: chatIds } }).select('contactId name notify verifiedName').lean(),
+    ]);
+  } catch (error) {
+    console.error('Error resolving chat names:', error);
+  }
+  
+  const chatsById = new Map(chats.map(chat => [chat.chatId, chat]));
+  const contactsById = new Map(contacts.map(contact => [contact.contactId, contact]));
+  
+  for (const chatId of chatIds) {
+    const chat = chatsById.get(chatId);
+    const contact = contactsById.get(chatId);
+    
+    names.set(chatId, chat?.name
+      || contact?.name
+      || contact?.notify
+      || contact?.verifiedName
+      || (!chatId.endsWith('@g.us') && fallbacks[chatId]) // Older group rows stored the sender's name
+      || chatId.split('@')[0]);
+  }
+  
+  return names;
+};
+
+/**
+ * Resolve the display name of one chat
+ * @param {string} userId - User ID
+ * @param {string} chatId - Chat JID
+ * @param {string} fallback - Optional name to use if none is known (e.g. a stored push name)
+ * @returns {Promise<string>} - Display name
+ */
+const getChatName = async (userId, chatId, fallback) => {
+  const names = await getChatNames(userId, [chatId], { [chatId]: fallback });
+  return names.get(chatId);
+};
+
+/**
+ * Find chats whose group subject or contact name matches
+ * @param {string} userId - User ID
+ * @param {RegExp} regex - Name pattern
+ * @returns {Promise<Array>} - Matching chat JIDs
+ */
+const findChatIdsByName = async (userId, regex) => {
+  try {
+    const [chats, contacts] = await Promise.all([
+      Chat.find({ userId, name: regex }).select('chatId').lean(),
+      Contact.find({
+        userId,
+        $or: [{ name: regex }, { notify: regex }, { verifiedName: regex }],
+      }).select('contactId').lean(),
+    ]);
+    
+    return [...new Set([
+      ...chats.map(chat => chat.chatId),
+      ...contacts.map(contact => contact.contactId),
+    ])];
+  } catch (error) {
+    console.error('Error searching chat names:', error);
+    return [];
+  }
+};
+
+module.exports = {
+  saveContacts,
+  saveChats,
+  saveGroups,
+  ensureGroup,
+  getChatNames,
+  getChatName,
+  findChatIdsByName,
+};
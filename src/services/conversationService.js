@@ -0,0 +1,57 @@
+// ============================================
+// CONVERSATION SERVICE
+// Persist Q&A threads so follow-up questions keep their context
+// ============================================
+
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+
+/**
+ * Get a user's conversation about a chat
+ * @param {string} userId - User ID
+ * @param {string} chatId - Chat ID the conversation must be about
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<Object|null>} - Conversation or null if not found
+ */
+const getConversation = async (userId, chatId, conversationId) => {
+  try {
+    if (!mongoose.isValidObjectId(conversationId)) {
+      return null;
+    }
+    
+    return await Conversation.findOne({ _id: conversationId, userId, chatId }).lean();
+  } catch (error) {
+    console.error('Error getting conversation:', error);
+    return null;
+  }
+};
+
+/**
+ * Append a question/answer turn, starting a new conversation if needed
+ * @param {string} userId - User ID
+ * @param {string} chatId - Chat ID
+ * @param {string|null} conversationId - Existing conversation, or null for a new one
+ * @param {Object} turn - { question, answer, citations: [message ID] }
+ * @returns {Promise<Object|null>} - Updated conversation or null
+ */
+const addTurn = async (userId, chatId, conversationId, turn) => {
+  try {
+    if (!conversationId) {
+      return await Conversation.create({ userId, chatId, turns: [turn] });
+    }
+    
+    return await Conversation.findOneAndUpdate(
+      { _id: conversationId, userId, chatId },
+      { $push: { turns: turn } },
+      { new: true }
+    );
+  } catch (error) {
+    console.error('Error saving conversation turn:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  getConversation,
+  addTurn,
+};
@@ -0,0 +1,163 @@
+// ============================================
+// DIGEST SERVICE
+// Cross-chat briefing: rank active chats and summarize them together
+// ============================================
+
+const messageService = require('./messageService');
+const aiService = require('./aiService');
+
+// Wording that usually marks a message worth reading (questions, plans, requests)
+const IMPORTANCE_PATTERNS = [
+  /\?/,
+  /\b(urgent|asap|important|deadline|reminder)\b/i,
+  /\b(today|tonight|tomorrow|monday|tuesday|wednesday|thursday|friday|saturday|sunday)\b/i,
+  /\b(meeting|call|appointment|payment|invoice|booked|confirmed)\b/i,
+  /\b(please|can you|could you|need to|have to|must|don't forget)\b/i,
+  /\b(decided|agreed|let's|will do|on it)\b/i,
+];
+
+/**
+ * Count messages that look important
+ * @param {Array} messages - Messages in the window
+ * @returns {number} - Number of messages matching any importance pattern
+ */
+const countImportant = (messages) => {
+  return messages.filter((msg) => {
+    return IMPORTANCE_PATTERNS.some(pattern => pattern.test(msg.content || ''));
+  }).length;
+};
+
+/**
+ * Score a chat for the digest ranking.
+ * Activity grows logarithmically so one chatty group does not drown out
+ * a short thread full of questions and plans.
+ * @param {Array} messages - Messages in the window
+ * @returns {Object} - { score, participants, importantCount, reactionCount }
+ */
+const scoreChat = (messages) => {
+  const participants = new Set(messages.map(msg => msg.sender)).size;
+  const importantCount = countImportant(messages);
+  const reactionCount = messages.reduce((sum, msg) => sum + (msg.reactions?.length || 0), 0);
+  
+  const score = Math.log2(1 + messages.length)
+    + Math.log2(1 + participants)
+    + 2 * Math.log2(1 + importantCount)
+    + Math.log2(1 + reactionCount);
+  
+  return {
+    score: Math.round(score * 100) / 100,
+    participants,
+    importantCount,
+    reactionCount,
+  };
+};
+
+/**
+ * Render the combined briefing as markdown
+ * @param {Object} digest - { since, chats, actionItems }
+ * @returns {string} - Markdown text
+ */
+const renderDigestMarkdown = ({ since, chats, actionItems }) => {
+  const summarized = chats.filter(chat => chat.structured);
+  const messageCount = chats.reduce((sum, chat) => sum + chat.messageCount, 0);
+  
+  const header = `**Digest since ${new Date(since * 1000).toLocaleString()}**
+${chats.length} active chat(s), ${messageCount} message(s)`;
+  
+  const sections = summarized.map(({ chatName, messageCount: count, structured }) => {
+    const lines = [];
+    
+    if (structured.topics.length > 0) {
+      lines.push(`- ${structured.topics.join('; ')}`);
+    }
+    structured.decisions.forEach(decision => lines.push(`- Decided: ${decision}`));
+    structured.updates.forEach(update => lines.push(`- ${update}`));
+    
+    return `**${chatName}** (${count} message(s), ${structured.tone})\n${lines.join('\n') || '- Nothing notable'}`;
+  });
+  
+  const failed = chats.filter(chat => !chat.structured);
+  if (failed.length > 0) {
+    sections.push(`_Could not summarize: ${failed.map(chat => chat.chatName).join(', ')}_`);
+  }
+  
+  const actions = actionItems.length > 0
+    ? actionItems.map((item) => {
+      const due = item.dueDate ? ` (due ${item.dueDate})` : '';
+      return `- ${item.assignee}: ${item.task}${due} - ${item.chatName}`;
+    }).join('\n')
+    : '- None';
+  
+  return [header, ...sections, `**Action Items**\n${actions}`].join('\n\n');
+};
+
+/**
+ * Build a digest across all of a user's chats active since a timestamp.
+ * Chats are ranked by activity and importance; the top ones are summarized
+ * (structured) and combined into one briefing with a shared action-item list.
+ * @param {string} userId - User ID
+ * @param {Object} options - { since, maxChats, provider? }
+ *   since: Unix timestamp the window starts after
+ * @returns {Promise<Object>} - { since, activeChatCount, chats, actionItems, digest }
+ */
+const buildDigest = async (userId, { since, maxChats, provider }) => {
+  const chats = await messageService.getUserChats(userId);
+  const active = chats.filter(chat => chat.lastMessage > since);
+  
+  // Rank every active chat on its messages in the window
+  const ranked = [];
+  for (const chat of active) {
+    const messages = await messageService.getChatMessages(userId, chat.chatId, 500, { since });
+    if (messages.length === 0) continue;
+    
+    ranked.push({ ...chat, messages, ...scoreChat(messages) });
+  }
+  
+  ranked.sort((a, b) => b.score - a.score || b.lastMessage - a.lastMessage);
+  
+  // Summarize the top chats (sequentially to stay within rate limits)
+  const selected = [];
+  for (const chat of ranked.slice(0, maxChats)) {
+    const result = await aiService.summarizeMessages(chat.messages, {
+      provider,
+      format: 'structured',
+    });
+    
+    selected.push({
+      chatId: chat.chatId,
+      chatName: chat.chatName,
+      messageCount: chat.messages.length,
+      participants: chat.participants,
+      importantCount: chat.importantCount,
+      score: chat.score,
+      structured: result.failed ? null : result.structured,
+      ...(result.failed && { failed: true }),
+    });
+  }
+  
+  const actionItems = selected.flatMap((chat) => {
+    return (chat.structured?.actionItems || []).map(item => ({
+      chatId: chat.chatId,
+      chatName: chat.chatName,
+      assignee: item.assignee,
+      task: item.task,
+      dueDate: item.dueDate || null,
+    }));
+  });
+  
+  return {
+    since,
+    activeChatCount: ranked.length,
+    chats: selected,
+    actionItems,
+    digest: selected.length > 0
+      ? renderDigestMarkdown({ since, chats: selected, actionItems })
+      : null,
+  };
+};
+
+module.exports = {
+  scoreChat,
+  renderDigestMarkdown,
+  buildDigest,
+};
@@ -0,0 +1,227 @@
+// ============================================
+// ENCRYPTION SERVICE
+// Envelope encryption of sensitive fields (AES-256-GCM)
+// ============================================
+
+const crypto = require('crypto');
+const DataKey = require('../models/DataKey');
+const { ENCRYPTION_KEY, ENCRYPTION_PREVIOUS_KEYS } = require('../config/env');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+// Encrypted values look like "enc:1:<data key id>:<base64 iv + tag + ciphertext>"
+const PREFIX = 'enc:1:';
+const ENCRYPTED_PATTERN = /^enc:1:([0-9a-f]{24}):([A-Za-z0-9+/]+={0,2})$/;
+
+// How long a user's active key is cached before checking for a rotation
+const ACTIVE_KEY_CACHE_MS = 5 * 60 * 1000;
+
+/**
+ * Short, stable ID for a master key (stored with the data keys it wraps)
+ * @param {Buffer} key - Master key
+ * @returns {string} - ID
+ */
+const toMasterKeyId = (key) => {
+  return crypto.createHash('sha256').update(key).digest('hex').substring(0, 16);
+};
+
+const currentMasterKey = Buffer.from(ENCRYPTION_KEY, 'base64');
+const masterKeys = new Map(
+  [currentMasterKey, ...ENCRYPTION_PREVIOUS_KEYS.map(key => Buffer.from(key, 'base64'))]
+    .map(key => [toMasterKeyId(key), key])
+);
+
+// Unwrapped data keys: key id -> Buffer
+const dataKeys = new Map();
+
+// userId -> { id, key, loadedAt }
+const activeKeys = new Map();
+
+/**
+ * AES-256-GCM encrypt
+ * @param {Buffer} key - 32-byte key
+ * @param {Buffer} plaintext - Data
+ * @returns {Buffer} - iv + auth tag + ciphertext
+ */
+const seal = (key, plaintext) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+};
+
+/**
+ * AES-256-GCM decrypt (throws if the data was tampered with or the key is wrong)
+ * @param {Buffer} key - 32-byte key
+ * @param {Buffer} sealed - iv + auth tag + ciphertext
+ * @returns {Buffer} - Data
+ */
+const open = (key, sealed) => {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, sealed.subarray(0, IV_BYTES));
+  decipher.setAuthTag(sealed.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  return Buffer.concat([decipher.update(sealed.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+};
+
+/**
+ * ID of the master key new data keys are wrapped with
+ * @returns {string} - Master key ID
+ */
+const getMasterKeyId = () => toMasterKeyId(currentMasterKey);
+
+/**
+ * Unwrap a data key document with whichever configured master key wrapped it
+ * @param {Object} dataKey - DataKey document
+ * @returns {Buffer} - Data key
+ */
+const unwrap = (dataKey) => {
+  const masterKey = masterKeys.get(dataKey.masterKeyId);
+  if (!masterKey) {
+    throw new Error(`Data key ${dataKey._id} is wrapped with master key ${dataKey.masterKeyId}, which is not configured`);
+  }
+  return open(masterKey, Buffer.from(dataKey.wrappedKey, 'base64'));
+};
+
+/**
+ * Get a data key by ID
+ * @param {string} keyId - DataKey ID
+ * @returns {Promise<Buffer>} - Data key
+ */
+const getDataKey = async (keyId) => {
+  if (!dataKeys.has(keyId)) {
+    const dataKey = await DataKey.findById(keyId).lean();
+    if (!dataKey) {
+      throw new Error(`Data key ${keyId} not found`);
+    }
+    dataKeys.set(keyId, unwrap(dataKey));
+  }
+  return dataKeys.get(keyId);
+};
+
+/**
+ * Get (creating on first use) the key a user's new data is encrypted with
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { id, key }
+ */
+const getActiveKey = async (userId) => {
+  const cached = activeKeys.get(String(userId));
+  if (cached && Date.now() - cached.loadedAt < ACTIVE_KEY_CACHE_MS) {
+    return cached;
+  }
+  
+  // Atomic get-or-create (one active key per user, see DataKey indexes)
+  const key = crypto.randomBytes(32);
+  const dataKey = await DataKey.findOneAndUpdate(
+    { userId, active: true },
+    {
+      $setOnInsert: {
+        wrappedKey: seal(currentMasterKey, key).toString('base64'),
+        masterKeyId: getMasterKeyId(),
+      },
+    },
+    { upsert: true, new: true }
+  ).lean();
+  
+  const active = { id: String(dataKey._id), key: unwrap(dataKey), loadedAt: Date.now() };
+  dataKeys.set(active.id, active.key);
+  activeKeys.set(String(userId), active);
+  return active;
+};
+
+/**
+ * Check whether a stored value is encrypted
+ * @param {*} value - Stored value
+ * @returns {boolean} - True for values written by encrypt
+ */
+const isEncrypted = (value) => typeof value === 'string' && ENCRYPTED_PATTERN.test(value);
+
+/**
+ * ID of the data key a value was encrypted with
+ * @param {string} value - Encrypted value
+ * @returns {string|null} - DataKey ID, or null for plaintext
+ */
+const getKeyId = (value) => {
+  const match = typeof value === 'string' && value.match(ENCRYPTED_PATTERN);
+  return match ? match[1] : null;
+};
+
+/**
+ * Encrypt a string with the user's active data key
+ * @param {string} userId - Owner of the data
+ * @param {string} plaintext - Value to encrypt
+ * @returns {Promise<string>} - Encrypted value ('' stays '', encrypted values are returned as is)
+ */
+const encrypt = async (userId, plaintext) => {
+  if (typeof plaintext !== 'string' || plaintext === '' || isEncrypted(plaintext)) {
+    return plaintext;
+  }
+  
+  const { id, key } = await getActiveKey(userId);
+  return `${PREFIX}${id}:${seal(key, Buffer.from(plaintext, 'utf8')).toString('base64')}`;
+};
+
+/**
+ * Decrypt a value written by encrypt
+ * @param {string} value - Stored value
+ * @returns {Promise<string>} - Plaintext (values stored before encryption are returned as is)
+ */
+const decrypt = async (value) => {
+  const match = typeof value === 'string' && value.match(ENCRYPTED_PATTERN);
+  if (!match) {
+    return value;
+  }
+  
+  const key = await getDataKey(match[1]);
+  return open(key, Buffer.from(match[2], 'base64')).toString('utf8');
+};
+
+/**
+ * Start a new data key for a user; the old one is kept to decrypt existing
+ * data until it is re-encrypted (see src/scripts/encryption.js)
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { retiredKeyId, activeKeyId }
+ */
+const rotateUserKey = async (userId) => {
+  const retired = await DataKey.findOneAndUpdate(
+    { userId, active: true },
+    { active: false, retiredAt: new Date() }
+  ).lean();
+  
+  activeKeys.delete(String(userId));
+  const active = await getActiveKey(userId);
+  
+  return { retiredKeyId: retired ? String(retired._id) : null, activeKeyId: active.id };
+};
+
+/**
+ * Re-wrap every data key not wrapped with the current master key
+ * (run after moving the old ENCRYPTION_KEY to ENCRYPTION_PREVIOUS_KEYS)
+ * @returns {Promise<number>} - Data keys re-wrapped
+ */
+const rewrapDataKeys = async () => {
+  const stale = await DataKey.find({ masterKeyId: { $ne: getMasterKeyId() } }).lean();
+  
+  for (const dataKey of stale) {
+    await DataKey.updateOne(
+      { _id: dataKey._id, masterKeyId: dataKey.masterKeyId },
+      {
+        wrappedKey: seal(currentMasterKey, unwrap(dataKey)).toString('base64'),
+        masterKeyId: getMasterKeyId(),
+      }
+    );
+  }
+  
+  return stale.length;
+};
+
+module.exports = {
+  getMasterKeyId,
+  getActiveKey,
+  isEncrypted,
+  getKeyId,
+  encrypt,
+  decrypt,
+  rotateUserKey,
+  rewrapDataKeys,
+};
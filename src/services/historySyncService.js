@@ -0,0 +1,157 @@
+// ============================================
+// HISTORY SYNC SERVICE
+// Import the chat history WhatsApp sends when a device is linked
+// ============================================
+
+const { normalizeMessageContent } = require('@whiskeysockets/baileys');
+const ingestionService = require('./ingestionService');
+const commandService = require('./commandService');
+
+/**
+ * Start tracking a history import for one connection
+ * @param {Object} settings - User's historySync settings { enabled, lookbackHours, maxPerChat }
+ * @returns {Object|null} - Sync state, or null if the user has not opted in
+ */
+const createSyncState = (settings) => {
+  if (!settings?.enabled) {
+    return null;
+  }
+  
+  return {
+    status: 'waiting', // waiting -> syncing -> complete
+    since: Math.floor(Date.now() / 1000) - settings.lookbackHours * 60 * 60,
+    lookbackHours: settings.lookbackHours,
+    maxPerChat: settings.maxPerChat,
+    chatCounts: new Map(), // chatId -> messages taken so far
+    progress: null,
+    received: 0,
+    imported: 0,
+    startedAt: null,
+    completedAt: null,
+  };
+};
+
+/**
+ * Edits, deletions and reactions change an earlier message instead of adding one
+ * @param {Object} msg - Baileys message object
+ * @returns {boolean}
+ */
+const isMessageChange = (msg) => {
+  const message = normalizeMessageContent(msg.message);
+  return Boolean(message?.protocolMessage || message?.reactionMessage);
+};
+
+/**
+ * Pick the history messages to import: inside the lookback window and,
+ * per chat, the newest ones until the cap is reached (edits, deletions and
+ * reactions don't use up the cap).
+ * Counts are reserved here so concurrent batches cannot exceed the cap.
+ * @param {Array} messages - Baileys message objects
+ * @param {Object} state - Sync state from createSyncState
+ * @returns {Array} - Messages to store
+ */
+const selectMessages = (messages, state) => {
+  const recent = messages
+    .filter(msg => msg.key?.remoteJid && Number(msg.messageTimestamp) >= state.since)
+    .sort((a, b) => Number(b.messageTimestamp) - Number(a.messageTimestamp));
+  
+  return recent.filter((msg) => {
+    if (isMessageChange(msg)) {
+      return true;
+    }
+    
+    const count = state.chatCounts.get(msg.key.remoteJid) || 0;
+    if (count >= state.maxPerChat) {
+      return false;
+    }
+    
+    state.chatCounts.set(msg.key.remoteJid, count + 1);
+    return true;
+  });
+};
+
+/**
+ * Mark the import as finished
+ * @param {Object} state - Sync state from createSyncState
+ */
+const completeSync = (state) => {
+  state.status = 'complete';
+  state.completedAt = new Date();
+};
+
+/**
+ * Import a batch of history messages
+ * @param {string} userId - User ID
+ * @param {Array} messages - Baileys message objects (messaging-history.set or "append" upsert)
+ * @param {Object} state - Sync state from createSyncState
+ * @param {Object|null} history - { progress, isLatest } from messaging-history.set;
+ *                                null for "append" upserts, which leave the status alone
+ * @returns {Promise<number>} - Messages stored from this batch
+ */
+const importHistory = async (userId, messages, state, history = null) => {
+  if (history && state.status === 'waiting') {
+    state.status = 'syncing';
+    state.startedAt = new Date();
+  }
+  
+  state.received += messages.length;
+  
+  // Bot commands and replies from earlier sessions are not chat content
+  const importable = await commandService.filterCommandTraffic(userId, messages);
+  
+  // Oldest first, so stored chats read in order if the import is interrupted
+  const selected = selectMessages(importable, state).reverse();
+  const pending = [];
+  
+  for (const msg of selected) {
+    await ingestionService.waitForCapacity();
+    pending.push(ingestionService.enqueue(userId, msg));
+  }
+  
+  const stored = (await Promise.all(pending)).filter(Boolean).length;
+  
+  state.imported += stored;
+  
+  if (typeof history?.progress === 'number') {
+    state.progress = history.progress;
+  }
+  
+  if (history?.isLatest || history?.progress === 100) {
+    completeSync(state);
+  }
+  
+  console.log(`📥 History sync for user ${userId}: ${stored}/${messages.length} message(s) imported (${state.imported} total)`);
+  return stored;
+};
+
+/**
+ * Format a sync state for API responses
+ * @param {Object|null} state - Sync state
+ * @returns {Object} - { enabled, status, progress, ... }
+ */
+const formatSyncStatus = (state) => {
+  if (!state) {
+    return { enabled: false };
+  }
+  
+  return {
+    enabled: true,
+    status: state.status,
+    progress: state.progress,
+    lookbackHours: state.lookbackHours,
+    maxPerChat: state.maxPerChat,
+    chats: state.chatCounts.size,
+    messagesReceived: state.received,
+    messagesImported: state.imported,
+    startedAt: state.startedAt,
+    completedAt: state.completedAt,
+  };
+};
+
+module.exports = {
+  createSyncState,
+  selectMessages,
+  completeSync,
+  importHistory,
+  formatSyncStatus,
+};
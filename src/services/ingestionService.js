@@ -0,0 +1,192 @@
+// ============================================
+// INGESTION SERVICE
+// Buffer incoming messages per user and write them in batches
+// ============================================
+
+const messageService = require('./messageService');
+const realtimeService = require('./realtimeService');
+const {
+  INGEST_BATCH_SIZE,
+  INGEST_FLUSH_MS,
+  INGEST_MAX_QUEUE,
+} = require('../config/env');
+
+// userId -> { items: [{ msg, resolve }], timer, writing } (removed once written)
+const queues = new Map();
+
+// Handlers waiting for the queue to drain below INGEST_MAX_QUEUE
+let capacityWaiters = [];
+
+// Counters since startup (see getMetrics)
+const metrics = {
+  queued: 0,
+  maxQueued: 0,
+  enqueued: 0,
+  stored: 0,
+  duplicates: 0,
+  skipped: 0,
+  failed: 0,
+  batches: 0,
+  lastBatchMs: null,
+  lastBatchAt: null,
+};
+
+/**
+ * Wake up handlers waiting for capacity, once there is some
+ */
+const releaseWaiters = () => {
+  if (metrics.queued >= INGEST_MAX_QUEUE) {
+    return;
+  }
+  
+  const waiters = capacityWaiters;
+  capacityWaiters = [];
+  waiters.forEach(resolve => resolve());
+};
+
+/**
+ * Write one batch and settle the promises of its messages
+ * @param {string} userId - User ID
+ * @param {Array} batch - [{ msg, resolve }]
+ * @returns {Promise<void>}
+ */
+const writeBatch = async (userId, batch) => {
+  const started = Date.now();
+  
+  try {
+    const { results, stored, storedByChat, duplicates, skipped } = await messageService.storeMessages(
+      userId,
+      batch.map(item => item.msg)
+    );
+    
+    batch.forEach((item, index) => item.resolve(results[index]));
+    metrics.stored += stored;
+    metrics.duplicates += duplicates;
+    metrics.skipped += skipped;
+    
+    if (stored > 0) {
+      console.log(`💾 Stored ${stored}/${batch.length} message(s) for user ${userId}`);
+      realtimeService.publish(userId, 'messages', { stored, chats: storedByChat });
+    }
+  } catch (error) {
+    console.error(`Error storing ${batch.length} message(s) for user ${userId}:`, error);
+    metrics.failed += batch.length;
+    batch.forEach(item => item.resolve(false));
+  } finally {
+    metrics.queued -= batch.length;
+    metrics.batches++;
+    metrics.lastBatchMs = Date.now() - started;
+    metrics.lastBatchAt = new Date();
+    releaseWaiters();
+  }
+};
+
+/**
+ * Write everything queued for a user, in batches.
+ * Writes for one user never overlap, so batches land in arrival order
+ * (an edit is never applied before the message it edits).
+ * @param {string} userId - User ID
+ * @returns {Promise<void>} - Resolves once the queue is written
+ */
+const flushUser = (userId) => {
+  const queue = queues.get(userId);
+  if (!queue) {
+    return Promise.resolve();
+  }
+  
+  clearTimeout(queue.timer);
+  queue.timer = null;
+  
+  const writing = queue.writing.then(async () => {
+    while (queue.items.length > 0) {
+      await writeBatch(userId, queue.items.splice(0, INGEST_BATCH_SIZE));
+    }
+    
+    // Drop the queue once it is idle, so only users with pending messages are kept
+    if (queue.writing === writing && queue.items.length === 0 && !queue.timer) {
+      queues.delete(userId);
+    }
+  });
+  queue.writing = writing;
+  
+  return writing;
+};
+
+/**
+ * Queue a message for storage.
+ * Flushed once INGEST_BATCH_SIZE messages are waiting, or INGEST_FLUSH_MS
+ * after the first one - whichever comes first.
+ * @param {string} userId - User ID
+ * @param {Object} msg - Baileys message object
+ * @returns {Promise<boolean>} - Resolves after the batch is written: true if stored/applied
+ */
+const enqueue = (userId, msg) => {
+  if (!queues.has(userId)) {
+    queues.set(userId, { items: [], timer: null, writing: Promise.resolve() });
+  }
+  const queue = queues.get(userId);
+  
+  return new Promise((resolve) => {
+    queue.items.push({ msg, resolve });
+    metrics.queued++;
+    metrics.enqueued++;
+    metrics.maxQueued = Math.max(metrics.maxQueued, metrics.queued);
+    
+    if (queue.items.length >= INGEST_BATCH_SIZE) {
+      flushUser(userId);
+    } else if (!queue.timer) {
+      queue.timer = setTimeout(() => flushUser(userId), INGEST_FLUSH_MS);
+    }
+  });
+};
+
+/**
+ * Backpressure: wait while more than INGEST_MAX_QUEUE messages are queued.
+ * Event handlers await this before enqueueing, so bursts slow the handler
+ * down instead of growing the queue without bound.
+ * @returns {Promise<void>}
+ */
+const waitForCapacity = () => {
+  if (metrics.queued < INGEST_MAX_QUEUE) {
+    return Promise.resolve();
+  }
+  
+  return new Promise(resolve => capacityWaiters.push(resolve));
+};
+
+/**
+ * Write everything queued for all users (e.g. on shutdown)
+ * @returns {Promise<void>}
+ */
+const flushAll = async () => {
+  await Promise.all([...queues.keys()].map(flushUser));
+};
+
+/**
+ * Number of messages queued for a user
+ * @param {string} userId - User ID
+ * @returns {number} - Queued messages
+ */
+const getQueueDepth = (userId) => {
+  return queues.get(userId)?.items.length || 0;
+};
+
+/**
+ * Ingestion counters since startup
+ * @returns {Object} - Queue depth, totals and last batch timing
+ */
+const getMetrics = () => ({
+  ...metrics,
+  usersQueued: [...queues.values()].filter(queue => queue.items.length > 0).length,
+  batchSize: INGEST_BATCH_SIZE,
+  maxQueue: INGEST_MAX_QUEUE,
+});
+
+module.exports = {
+  enqueue,
+  waitForCapacity,
+  flushUser,
+  flushAll,
+  getQueueDepth,
+  getMetrics,
+};
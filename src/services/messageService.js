@@ -3,7 +3,12 @@
 // Handle message storage and retrieval
 // ============================================
 
+const { normalizeMessageContent, getContentType, generateMessageIDV2, proto } = require('@whiskeysockets/baileys');
 const Message = require('../models/Message');
+const contactService = require('./contactService');
+const retentionService = require('./retentionService');
+const privacyService = require('./privacyService');
+const encryptionService = require('./encryptionService');
 
 /**
  * Extract chat display name from message
@@ -11,80 +16,392 @@ const Message = require('../models/Message');
  * @returns {string|null} - Display name or null
  */
 const extractChatName = (msg) => {
-  try {
-    // For groups: extract group subject/name
-    if (msg.key.remoteJid.endsWith('@g.us')) {
-      // Group chat - try to get group name from message metadata
-      return msg.pushName || null;
+  // Group names come from the Chat store (pushName is the sender's name there),
+  // and our own messages carry our own name
+  if (msg.key.remoteJid.endsWith('@g.us') || msg.key.fromMe) {
+    return null;
+  }
+  
+  // For personal chats: the chat partner's own profile name
+  return msg.pushName || null;
+};
+
+// Name used for the user's own messages when WhatsApp does not send one
+const OWN_SENDER_NAME = 'You';
+
+// Messages this server sent (bot replies, scheduled deliveries) come back
+// through messages.upsert like any other; their IDs are kept so they are not stored
+const sentMessageIds = new Set();
+const SENT_MESSAGE_IDS_LIMIT = 1000;
+
+/**
+ * Remember a message ID sent by this server, so it is never stored as chat content
+ * @param {string} messageId - WhatsApp message ID
+ */
+const markSentMessage = (messageId) => {
+  sentMessageIds.add(messageId);
+  
+  // Oldest first - echoes arrive within seconds, so a short memory is enough
+  if (sentMessageIds.size > SENT_MESSAGE_IDS_LIMIT) {
+    sentMessageIds.delete(sentMessageIds.values().next().value);
+  }
+};
+
+/**
+ * Send a message from the server (bot reply, scheduled delivery) without
+ * it being stored when WhatsApp echoes it back
+ * @param {Object} sock - Baileys socket
+ * @param {string} jid - Chat to send to
+ * @param {Object} content - Baileys message content (e.g. { text })
+ * @param {Object} options - Baileys send options (e.g. { quoted })
+ * @returns {Promise<Object>} - Sent message
+ */
+const sendUnstoredMessage = async (sock, jid, content, options = {}) => {
+  // The ID is chosen up front: the echo can arrive before sendMessage resolves
+  const messageId = generateMessageIDV2(sock.user?.id);
+  markSentMessage(messageId);
+  return sock.sendMessage(jid, content, { ...options, messageId });
+};
+
+/**
+ * Get the sender of a message: the user's own name for their messages,
+ * otherwise the participant in groups and the chat partner in direct chats
+ * @param {Object} msg - Baileys message object
+ * @returns {string} - Own name, phone number or participant ID
+ */
+const getSender = (msg) => {
+  if (msg.key.fromMe) {
+    return msg.pushName || OWN_SENDER_NAME;
+  }
+  
+  return msg.key.participant?.split('@')[0] || msg.key.remoteJid.split('@')[0];
+};
+
+/**
+ * Extract the text of a message
+ * @param {Object} msg - Baileys message object
+ * @returns {string|null} - Text content or null for non-text messages
+ */
+const extractText = (msg) => {
+  const message = normalizeMessageContent(msg.message);
+  
+  return (
+    message?.conversation || 
+    message?.extendedTextMessage?.text ||
+    null
+  );
+};
+
+/**
+ * Extract type, text/caption and media details from a message
+ * @param {Object} msg - Baileys message object
+ * @returns {Object|null} - { type, content, media? } or null for unsupported messages
+ */
+const extractMessageData = (msg) => {
+  // Unwrap disappearing, view-once and captioned-document wrappers
+  const message = normalizeMessageContent(msg.message);
+  if (!message) {
+    return null;
+  }
+  
+  const text = extractText(msg);
+  if (text) {
+    return { type: 'text', content: text };
+  }
+  
+  if (message.imageMessage) {
+    const { caption, mimetype } = message.imageMessage;
+    return { type: 'image', content: caption || '', media: { mimeType: mimetype } };
+  }
+  
+  if (message.videoMessage) {
+    const { caption, mimetype, seconds, gifPlayback } = message.videoMessage;
+    return {
+      type: gifPlayback ? 'gif' : 'video',
+      content: caption || '',
+      media: { mimeType: mimetype, duration: seconds },
+    };
+  }
+  
+  if (message.audioMessage) {
+    const { mimetype, seconds, ptt } = message.audioMessage;
+    return {
+      type: ptt ? 'voice' : 'audio',
+      content: '',
+      media: { mimeType: mimetype, duration: seconds },
+    };
+  }
+  
+  if (message.documentMessage) {
+    const { caption, mimetype, fileName, title } = message.documentMessage;
+    return {
+      type: 'document',
+      content: caption || '',
+      media: { mimeType: mimetype, fileName: fileName || title },
+    };
+  }
+  
+  if (message.stickerMessage) {
+    return { type: 'sticker', content: '', media: { mimeType: message.stickerMessage.mimetype } };
+  }
+  
+  const location = message.locationMessage || message.liveLocationMessage;
+  if (location) {
+    return {
+      type: 'location',
+      content: location.caption || '',
+      media: {
+        latitude: location.degreesLatitude,
+        longitude: location.degreesLongitude,
+        name: [location.name, location.address].filter(Boolean).join(', ') || undefined,
+      },
+    };
+  }
+  
+  if (message.contactMessage || message.contactsArrayMessage) {
+    const contacts = message.contactsArrayMessage?.contacts || [message.contactMessage];
+    return {
+      type: 'contact',
+      content: '',
+      media: { name: contacts.map(contact => contact.displayName).filter(Boolean).join(', ') },
+    };
+  }
+  
+  return null;
+};
+
+/**
+ * Extract the quoted message a message replies to
+ * @param {Object} msg - Baileys message object
+ * @returns {Object|undefined} - { messageId, sender, content } or undefined if not a reply
+ */
+const extractReplyTo = (msg) => {
+  const message = normalizeMessageContent(msg.message);
+  const contextInfo = message?.[getContentType(message)]?.contextInfo;
+  
+  if (!contextInfo?.stanzaId) {
+    return undefined;
+  }
+  
+  const quoted = contextInfo.quotedMessage
+    ? extractMessageData({ message: contextInfo.quotedMessage })
+    : null;
+  
+  return {
+    messageId: contextInfo.stanzaId,
+    sender: contextInfo.participant?.split('@')[0] || null,
+    content: quoted ? quoted.content.substring(0, 200) : '',
+  };
+};
+
+/**
+ * Apply an edit or "delete for everyone" to a stored message
+ * @param {string} userId - User ID
+ * @param {Object} protocolMessage - Baileys protocolMessage
+ * @returns {Promise<Object|null>} - Updated message or null
+ */
+const applyProtocolMessage = async (userId, protocolMessage) => {
+  const { Type } = proto.Message.ProtocolMessage;
+  const targetId = protocolMessage.key?.id;
+  
+  if (!targetId) {
+    return null;
+  }
+  
+  if (protocolMessage.type === Type.REVOKE) {
+    const deleted = await Message.findOneAndUpdate(
+      { userId, messageId: targetId },
+      { deleted: true, content: '', $unset: { media: 1 }, edits: [] },
+      { new: true }
+    );
+    if (deleted) console.log(`🗑️  Message deleted: ${targetId}`);
+    return deleted;
+  }
+  
+  if (protocolMessage.type === Type.MESSAGE_EDIT && protocolMessage.editedMessage) {
+    const edited = extractMessageData({ message: protocolMessage.editedMessage });
+    const target = await Message.findOne({ userId, messageId: targetId, deleted: { $ne: true } });
+    
+    // Unknown message, or an edit we already applied
+    if (!edited || !target || target.content === edited.content) {
+      return null;
     }
     
-    // For personal chats: use push name (contact name in sender's phone)
-    return msg.pushName || null;
-  } catch (error) {
+    target.edits.push({ content: target.content, editedAt: new Date() });
+    target.content = edited.content;
+    console.log(`✏️  Message edited: ${targetId}`);
+    return await target.save();
+  }
+  
+  return null;
+};
+
+/**
+ * Store a reaction against the message it reacts to (one per sender)
+ * @param {string} userId - User ID
+ * @param {Object} msg - Baileys message object carrying the reaction
+ * @param {Object} reaction - Baileys reactionMessage
+ * @returns {Promise<Object|null>} - Updated message or null
+ */
+const applyReaction = async (userId, msg, reaction) => {
+  const targetId = reaction.key?.id;
+  if (!targetId) {
     return null;
   }
+  
+  const sender = getSender(msg);
+  const filter = { userId, messageId: targetId };
+  
+  // Replace the sender's previous reaction; empty text removes it
+  await Message.updateOne(filter, { $pull: { reactions: { sender } } });
+  
+  if (!reaction.text) {
+    return Message.findOne(filter);
+  }
+  
+  return Message.findOneAndUpdate(
+    filter,
+    {
+      $push: {
+        reactions: {
+          sender,
+          emoji: reaction.text,
+          timestamp: Number(msg.messageTimestamp),
+        },
+      },
+    },
+    { new: true }
+  );
 };
 
 /**
- * Store a WhatsApp message in database
+ * Build the document for a new message
  * @param {string} userId - User ID
  * @param {Object} msg - Baileys message object
- * @returns {Promise<Object|null>} - Saved message or null
+ * @param {Object} policy - Chat's retention policy (see retentionService)
+ * @returns {Object|null} - Message fields, or null for messages we cannot describe
+ */
+const buildMessageDoc = (userId, msg, policy) => {
+  // Extract text, caption and media details
+  const data = extractMessageData(msg);
+  if (!data) {
+    return null;
+  }
+  
+  return {
+    userId,
+    chatId: msg.key.remoteJid,
+    chatName: extractChatName(msg),
+    messageId: msg.key.id,
+    sender: getSender(msg),
+    fromMe: Boolean(msg.key.fromMe),
+    type: data.type,
+    content: data.content,
+    media: data.media,
+    replyTo: extractReplyTo(msg),
+    timestamp: msg.messageTimestamp,
+    // Per chat/user retention (null keeps a pinned chat's messages)
+    expiresAt: retentionService.getExpiresAt(policy),
+  };
+};
+
+/**
+ * Insert new messages in one round trip.
+ * Unordered, so one duplicate (the unique messageId index) does not stop the rest.
+ * @param {Array} docs - Message documents
+ * @returns {Promise<Object>} - { stored: Set of inserted messageIds, duplicates }
  */
-const storeMessage = async (userId, msg) => {
+const insertMessages = async (docs) => {
+  if (docs.length === 0) {
+    return { stored: new Set(), duplicates: 0 };
+  }
+  
   try {
-    // Extract message data
-    const chatId = msg.key.remoteJid;
-    const messageId = msg.key.id;
-    const sender = msg.key.participant?.split('@')[0] || chatId.split('@')[0];
-    
-    // Extract chat display name
-    const chatName = extractChatName(msg);
-    
-    // Extract text content
-    const content = 
-      msg.message?.conversation || 
-      msg.message?.extendedTextMessage?.text ||
-      null;
-    
-    // Only store text messages
-    if (!content) {
-      console.log(`⏭️  Skipped non-text message from ${chatId}`);
-      return null;
+    const inserted = await Message.insertMany(docs, { ordered: false });
+    return { stored: new Set(inserted.map(doc => doc.messageId)), duplicates: 0 };
+  } catch (error) {
+    const writeErrors = error.writeErrors || [];
+    if (writeErrors.length === 0 || writeErrors.some(writeError => writeError.code !== 11000)) {
+      throw error;
     }
     
-    const timestamp = msg.messageTimestamp;
+    return {
+      stored: new Set((error.insertedDocs || []).map(doc => doc.messageId)),
+      duplicates: writeErrors.length,
+    };
+  }
+};
+
+/**
+ * Store a batch of WhatsApp messages for one user.
+ * New messages are inserted together; edits, deletions and reactions are
+ * applied afterwards, in order, so they can target messages from the same batch.
+ * @param {string} userId - User ID
+ * @param {Array} msgs - Baileys message objects
+ * @returns {Promise<Object>} - { results: boolean per message (stored/applied), stored,
+ *   storedByChat: { chatId: new messages }, duplicates, skipped }
+ */
+const storeMessages = async (userId, msgs) => {
+  const results = new Array(msgs.length).fill(false);
+  
+  // Chats the user excluded are never stored
+  const settings = await privacyService.getSettings(userId);
+  const chatIds = [...new Set(msgs.map(msg => msg.key?.remoteJid).filter(Boolean))];
+  const policies = await retentionService.getPolicies(userId, chatIds);
+  
+  const docs = new Map(); // messageId -> { doc, index }
+  const changes = [];     // { msg, message, index }
+  
+  msgs.forEach((msg, index) => {
+    const chatId = msg.key?.remoteJid;
     
-    // Check if message already exists (prevent duplicates)
-    const existingMessage = await Message.findOne({ messageId });
-    if (existingMessage) {
-      console.log(`⏭️  Message already exists: ${messageId}`);
-      return null;
+    // Our own bot replies and deliveries are not part of the conversation
+    if (!chatId || !privacyService.isChatAllowed(settings, chatId) || sentMessageIds.has(msg.key.id)) {
+      return;
     }
     
-    // Create new message with chat name
-    const newMessage = new Message({
-      userId,
-      chatId,
-      chatName, // NEW: Store display name
-      messageId,
-      sender,
-      content,
-      timestamp,
-      // expiresAt will be auto-set by Message model (24 hours from now)
-    });
-    
-    const saved = await newMessage.save();
-    console.log(`✅ Message saved: ${chatId} - "${content.substring(0, 30)}..."`);
+    // Edits, deletions and reactions change an earlier message instead
+    const message = normalizeMessageContent(msg.message);
+    if (message?.protocolMessage || message?.reactionMessage) {
+      changes.push({ msg, message, index });
+      return;
+    }
     
-    return saved;
-  } catch (error) {
-    // Ignore duplicate key errors (messageId is unique)
-    if (error.code !== 11000) {
-      console.error('❌ Error storing message:', error);
+    // Only store messages we can describe (skips system messages, ...);
+    // the same message twice in one batch is stored once
+    const doc = buildMessageDoc(userId, msg, policies.get(chatId));
+    if (doc && !docs.has(doc.messageId)) {
+      docs.set(doc.messageId, { doc, index });
+    }
+  });
+  
+  const { stored, duplicates } = await insertMessages([...docs.values()].map(entry => entry.doc));
+  const storedByChat = {};
+  docs.forEach(({ doc, index }, messageId) => {
+    results[index] = stored.has(messageId);
+    if (results[index]) {
+      storedByChat[doc.chatId] = (storedByChat[doc.chatId] || 0) + 1;
+    }
+  });
+  
+  for (const { msg, message, index } of changes) {
+    try {
+      const updated = message.protocolMessage
+        ? await applyProtocolMessage(userId, message.protocolMessage)
+        : await applyReaction(userId, msg, message.reactionMessage);
+      results[index] = Boolean(updated);
+    } catch (error) {
+      console.error('❌ Error applying message change:', error);
     }
-    return null;
   }
+  
+  return {
+    results,
+    stored: stored.size,
+    storedByChat,
+    duplicates,
+    skipped: msgs.length - docs.size - changes.length,
+  };
 };
 
 /**
@@ -92,27 +409,97 @@ const storeMessage = async (userId, msg) => {
  * @param {string} userId - User ID
  * @param {string} chatId - Chat ID
  * @param {number} limit - Max messages to return
+ * @param {Object} options - { since? } (only messages after this Unix timestamp)
  * @returns {Promise<Array>} - Array of messages
  */
-const getChatMessages = async (userId, chatId, limit = 100) => {
+const getChatMessages = async (userId, chatId, limit = 100, options = {}) => {
   try {
-    return await Message.getChatMessages(userId, chatId, limit);
+    // Messages stored before a chat was excluded must not reach the AI either
+    if (!(await privacyService.canStoreChat(userId, chatId))) {
+      return [];
+    }
+    
+    return await Message.getChatMessages(userId, chatId, limit, options);
   } catch (error) {
     console.error('Error getting chat messages:', error);
     return [];
   }
 };
 
+/**
+ * Nest messages into reply threads.
+ * Replies hang under the message they quote; replies to messages that are
+ * no longer stored start their own thread (their replyTo still says what they quoted).
+ * @param {Array} messages - Formatted messages (with messageId and replyTo), oldest first
+ * @returns {Array} - Top-level messages, each with a replies array (recursively)
+ */
+const buildThreads = (messages) => {
+  const byId = new Map(messages.map(msg => [msg.messageId, { ...msg, replies: [] }]));
+  const threads = [];
+  
+  for (const msg of byId.values()) {
+    const parent = msg.replyTo && byId.get(msg.replyTo.messageId);
+    
+    if (parent && parent !== msg) {
+      parent.replies.push(msg);
+    } else {
+      threads.push(msg);
+    }
+  }
+  
+  return threads;
+};
+
+/**
+ * Drop chats the user has excluded since their messages were stored
+ * @param {string} userId - User ID
+ * @param {Array} chats - Aggregated chats ({ chatId, ... })
+ * @returns {Promise<Array>} - Chats that may still be shown and summarized
+ */
+const withoutExcludedChats = async (userId, chats) => {
+  const settings = await privacyService.getSettings(userId);
+  return chats.filter(chat => privacyService.isChatAllowed(settings, chat.chatId));
+};
+
+/**
+ * Replace stored chat names with display names from the Chat/Contact store
+ * @param {string} userId - User ID
+ * @param {Array} chats - Aggregated chats ({ chatId, chatName, ... })
+ * @returns {Promise<Array>} - Same chats with resolved chatName
+ */
+const withChatNames = async (userId, chats) => {
+  const names = await contactService.getChatNames(
+    userId,
+    chats.map(chat => chat.chatId),
+    Object.fromEntries(chats.map(chat => [chat.chatId, chat.chatName]))
+  );
+  
+  return chats.map(chat => ({ ...chat, chatName: names.get(chat.chatId) }));
+};
+
+/**
+ * Decrypt last-message previews and cut them to 50 characters
+ * (aggregations return message content as stored, i.e. encrypted)
+ * @param {Array} chats - Aggregated chats ({ preview, ... })
+ * @returns {Promise<Array>} - Same chats with readable previews
+ */
+const withPreviews = async (chats) => {
+  return Promise.all(chats.map(async (chat) => ({
+    ...chat,
+    preview: ((await encryptionService.decrypt(chat.preview)) || '').substring(0, 50),
+  })));
+};
+
 /**
  * Get all chats for a user with message counts and display names
  * @param {string} userId - User ID
- * @returns {Promise<Array>} - Array of {chatId, chatName, messageCount, lastMessage, preview}
+ * @returns {Promise<Array>} - Array of {chatId, chatName, messageCount, lastMessage, preview, nextExpiry}
  */
 const getUserChats = async (userId) => {
   try {
     const chats = await Message.aggregate([
       // Match user's messages
-      { $match: { userId: new require('mongoose').Types.ObjectId(userId) } },
+      { $match: { userId: new require('mongoose').Types.ObjectId(userId), deleted: { $ne: true } } },
       
       // Sort by timestamp to get latest message
       { $sort: { timestamp: -1 } },
@@ -121,10 +508,11 @@ const getUserChats = async (userId) => {
       {
         $group: {
           _id: '$chatId',
-          chatName: { $first: '$chatName' }, // Get first non-null chat name
+          chatName: { $first: '$chatName' }, // Latest stored push name (fallback display name)
           messageCount: { $sum: 1 },
           lastMessage: { $max: '$timestamp' },
           lastMessageContent: { $first: '$content' }, // Preview of last message
+          nextExpiry: { $min: '$expiresAt' }, // Oldest message to expire (null if pinned)
         },
       },
       
@@ -132,15 +520,11 @@ const getUserChats = async (userId) => {
       {
         $project: {
           chatId: '$_id',
-          chatName: {
-            $ifNull: [
-              '$chatName',
-              { $arrayElemAt: [{ $split: ['$_id', '@'] }, 0] } // Fallback to phone number
-            ]
-          },
+          chatName: 1, // Resolved to a display name below
           messageCount: 1,
           lastMessage: 1,
-          preview: { $substr: ['$lastMessageContent', 0, 50] }, // First 50 chars
+          preview: '$lastMessageContent', // Cut to 50 chars once decrypted
+          nextExpiry: 1,
           _id: 0,
         },
       },
@@ -149,7 +533,8 @@ const getUserChats = async (userId) => {
       { $sort: { messageCount: -1 } },
     ]);
     
-    return chats;
+    const allowed = await withoutExcludedChats(userId, chats);
+    return await withChatNames(userId, await withPreviews(allowed));
   } catch (error) {
     console.error('Error getting user chats:', error);
     return [];
@@ -166,13 +551,18 @@ const searchChats = async (userId, searchTerm) => {
   try {
     const regex = new RegExp(searchTerm, 'i'); // Case-insensitive
     
+    // Group subjects and contact names live in the Chat/Contact store
+    const namedChatIds = await contactService.findChatIdsByName(userId, regex);
+    
     const chats = await Message.aggregate([
       {
         $match: {
           userId: new require('mongoose').Types.ObjectId(userId),
+          deleted: { $ne: true },
           $or: [
             { chatName: regex }, // Search by display name
             { chatId: regex },   // Search by phone number/ID
+            { chatId: { $in: namedChatIds } }, // Search by group subject / contact name
           ]
         },
       },
@@ -184,28 +574,26 @@ const searchChats = async (userId, searchTerm) => {
           messageCount: { $sum: 1 },
           lastMessage: { $max: '$timestamp' },
           lastMessageContent: { $first: '$content' },
+          nextExpiry: { $min: '$expiresAt' },
         },
       },
       {
         $project: {
           chatId: '$_id',
-          chatName: {
-            $ifNull: [
-              '$chatName',
-              { $arrayElemAt: [{ $split: ['$_id', '@'] }, 0] }
-            ]
-          },
+          chatName: 1,
           messageCount: 1,
           lastMessage: 1,
-          preview: { $substr: ['$lastMessageContent', 0, 50] },
+          preview: '$lastMessageContent',
+          nextExpiry: 1,
           _id: 0,
         },
       },
       { $sort: { messageCount: -1 } },
-      { $limit: 10 }, // Return top 10 matches
     ]);
     
-    return chats;
+    // Top 10 matches the user has not excluded
+    const allowed = await withoutExcludedChats(userId, chats);
+    return await withChatNames(userId, await withPreviews(allowed.slice(0, 10)));
   } catch (error) {
     console.error('Error searching chats:', error);
     return [];
@@ -268,7 +656,12 @@ const getRecentChats = async (userId, limit = 10) => {
 };
 
 module.exports = {
-  storeMessage,
+  sendUnstoredMessage,
+  extractText,
+  extractMessageData,
+  extractReplyTo,
+  storeMessages,
+  buildThreads,
   getChatMessages,
   getUserChats,
   getRecentChats, // NEW
@@ -0,0 +1,112 @@
+// ============================================
+// PRIVACY SERVICE
+// Which chats may be stored and summarized, and purging the rest
+// ============================================
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Message = require('../models/Message');
+const Summary = require('../models/Summary');
+const SummaryMarker = require('../models/SummaryMarker');
+const Conversation = require('../models/Conversation');
+
+// Ingestion modes (see User.ingestion)
+const INGESTION_MODES = ['all', 'allowlist'];
+
+// Defaults for users created before ingestion settings existed
+const DEFAULT_SETTINGS = {
+  mode: 'all',
+  allowChats: [],
+  blockChats: [],
+  blockDirect: false,
+  blockGroups: false,
+};
+
+/**
+ * Check whether a chat may be stored.
+ * Blocked chats are always excluded; in allowlist mode only listed chats
+ * are kept, otherwise whole kinds of chat (1:1 or groups) can be blocked.
+ * @param {Object} settings - User's ingestion settings
+ * @param {string} chatId - Chat ID
+ * @returns {boolean} - True if messages from this chat may be stored
+ */
+const isChatAllowed = (settings, chatId) => {
+  const { mode, allowChats, blockChats, blockDirect, blockGroups } = { ...DEFAULT_SETTINGS, ...settings };
+  
+  if (blockChats.includes(chatId)) {
+    return false;
+  }
+  
+  if (mode === 'allowlist') {
+    return allowChats.includes(chatId);
+  }
+  
+  return chatId.endsWith('@g.us') ? !blockGroups : !blockDirect;
+};
+
+/**
+ * Get a user's ingestion settings
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Settings (defaults if the user has none)
+ */
+const getSettings = async (userId) => {
+  const user = await User.findById(userId).select('ingestion').lean();
+  return { ...DEFAULT_SETTINGS, ...user?.ingestion };
+};
+
+/**
+ * Check one chat against a user's settings
+ * @param {string} userId - User ID
+ * @param {string} chatId - Chat ID
+ * @returns {Promise<boolean>} - True if the chat may be stored
+ */
+const canStoreChat = async (userId, chatId) => {
+  return isChatAllowed(await getSettings(userId), chatId);
+};
+
+/**
+ * Delete everything stored for chats the user's settings now exclude:
+ * messages, summaries, "last summarized" markers and Q&A conversations
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { chats, messages, summaries, conversations } deleted
+ */
+const purgeExcludedChats = async (userId) => {
+  const id = new mongoose.Types.ObjectId(userId);
+  const settings = await getSettings(userId);
+  
+  // Summaries can outlive the messages they were made from
+  const storedChatIds = await Promise.all([
+    Message.distinct('chatId', { userId: id }),
+    Summary.distinct('chatId', { userId: id }),
+  ]);
+  const excluded = [...new Set(storedChatIds.flat())].filter(chatId => !isChatAllowed(settings, chatId));
+  
+  if (excluded.length === 0) {
+    return { chats: 0, messages: 0, summaries: 0, conversations: 0 };
+  }
+  
+  const filter = { userId: id, chatId: { $in: excluded } };
+  const [messages, summaries, , conversations] = await Promise.all([
+    Message.deleteMany(filter),
+    Summary.deleteMany(filter),
+    SummaryMarker.deleteMany(filter),
+    Conversation.deleteMany(filter),
+  ]);
+  
+  console.log(`🧹 Purged ${messages.deletedCount} message(s) from ${excluded.length} excluded chat(s) for user ${userId}`);
+  
+  return {
+    chats: excluded.length,
+    messages: messages.deletedCount,
+    summaries: summaries.deletedCount,
+    conversations: conversations.deletedCount,
+  };
+};
+
+module.exports = {
+  INGESTION_MODES,
+  isChatAllowed,
+  getSettings,
+  canStoreChat,
+  purgeExcludedChats,
+};
@@ -0,0 +1,109 @@
+// ============================================
+// ECHO PROVIDER
+// Deterministic offline backend for development and tests
+// ============================================
+
+const fs = require('fs');
+
+/**
+ * Default responses per task when no fixture file is given
+ * Each builder receives the prompt so the output stays deterministic
+ */
+const DEFAULT_RESPONSES = {
+  summary: (prompt) => {
+    const lines = prompt.split('\n').filter(line => /^.+ \(.+\): /.test(line));
+    return [
+      '**Echo summary** (offline provider)',
+      `- ${lines.length} message(s) received`,
+      lines.length > 0 ? `- First: ${lines[0]}` : null,
+      lines.length > 1 ? `- Last: ${lines[lines.length - 1]}` : null,
+    ].filter(Boolean).join('\n');
+  },
+  'summary-structured': (prompt) => {
+    const lines = prompt.split('\n').filter(line => /^.+ \(.+\): /.test(line));
+    return JSON.stringify({
+      topics: ['General discussion'],
+      decisions: [],
+      actionItems: [],
+      updates: [`${lines.length} message(s) received`],
+      tone: 'neutral',
+    });
+  },
+  topics: () => JSON.stringify(['General discussion']),
+  sentiment: (prompt) => {
+    // Score every numbered message as neutral
+    const indexes = [...prompt.matchAll(/^\[(\d+)\] /gm)].map(match => Number(match[1]));
+    return JSON.stringify({ scores: indexes.map(i => ({ i, score: 0 })) });
+  },
+  answer: (prompt) => {
+    // Cite the first message in the excerpt
+    const ids = [...prompt.matchAll(/^\[([^\]]+)\] /gm)].map(match => match[1]);
+    return JSON.stringify({
+      answer: `Echo answer (offline provider) based on ${ids.length} message(s).`,
+      citations: ids.slice(0, 1),
+    });
+  },
+};
+
+/**
+ * Load fixtures from a JSON file keyed by task name
+ * @param {string|null} fixturesPath - Path to fixtures file
+ * @returns {Object} - Fixtures map
+ */
+const loadFixtures = (fixturesPath) => {
+  if (!fixturesPath) {
+    return {};
+  }
+
+  return JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+};
+
+/**
+ * Create an echo provider
+ * @param {Object} config - { fixturesPath? }
+ * @returns {Object} - Provider with name, generate() and stream()
+ */
+const createEchoProvider = ({ fixturesPath }) => {
+  const fixtures = loadFixtures(fixturesPath);
+
+  /**
+   * Return the fixture for the task, or a deterministic default
+   * @param {string} prompt - Full prompt text
+   * @param {Object} options - { task }
+   * @returns {Promise<string>} - Canned output
+   */
+  const generate = async (prompt, { task } = {}) => {
+    const fixture = fixtures[task];
+
+    if (fixture !== undefined) {
+      return typeof fixture === 'string' ? fixture : JSON.stringify(fixture);
+    }
+
+    const builder = DEFAULT_RESPONSES[task] || DEFAULT_RESPONSES.summary;
+    return builder(prompt);
+  };
+
+  /**
+   * Stream the same output as generate(), word by word
+   * @param {string} prompt - Full prompt text
+   * @param {Object} options - { task, signal? }
+   * @returns {AsyncGenerator<string>} - Text deltas
+   */
+  const stream = async function* (prompt, options = {}) {
+    const text = await generate(prompt, options);
+    
+    for (const word of text.split(/(?<=\s)/)) {
+      options.signal?.throwIfAborted();
+      yield word;
+    }
+  };
+
+  return {
+    name: 'echo',
+    model: 'echo',
+    generate,
+    stream,
+  };
+};
+
+module.exports = createEchoProvider;
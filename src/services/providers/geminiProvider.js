@@ -0,0 +1,57 @@
+// ============================================
+// GEMINI PROVIDER
+// Google Gemini backend for the AI service
+// ============================================
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+/**
+ * Create a Gemini provider
+ * @param {Object} config - { apiKey, model }
+ * @returns {Object} - Provider with name, generate() and stream()
+ */
+const createGeminiProvider = ({ apiKey, model: modelName }) => {
+  if (!apiKey) {
+    throw new Error('GEMINI_API_KEY is not configured');
+  }
+
+  const genAI = new GoogleGenerativeAI(apiKey);
+  const model = genAI.getGenerativeModel({ model: modelName });
+
+  /**
+   * Generate a completion for a prompt
+   * @param {string} prompt - Full prompt text
+   * @param {Object} options - { signal? }
+   * @returns {Promise<string>} - Model output
+   */
+  const generate = async (prompt, { signal } = {}) => {
+    const result = await model.generateContent(prompt, { signal });
+    return result.response.text();
+  };
+
+  /**
+   * Stream a completion for a prompt
+   * @param {string} prompt - Full prompt text
+   * @param {Object} options - { signal? }
+   * @returns {AsyncGenerator<string>} - Text deltas
+   */
+  const stream = async function* (prompt, { signal } = {}) {
+    const result = await model.generateContentStream(prompt, { signal });
+    
+    for await (const chunk of result.stream) {
+      const text = chunk.text();
+      if (text) {
+        yield text;
+      }
+    }
+  };
+
+  return {
+    name: 'gemini',
+    model: modelName,
+    generate,
+    stream,
+  };
+};
+
+module.exports = createGeminiProvider;
@@ -0,0 +1,71 @@
+// ============================================
+// AI PROVIDER REGISTRY
+// Resolves the LLM backend used by aiService
+// ============================================
+
+const {
+  AI_PROVIDER,
+  GEMINI_API_KEY,
+  GEMINI_MODEL,
+  OPENAI_BASE_URL,
+  OPENAI_API_KEY,
+  OPENAI_MODEL,
+  AI_FIXTURES_PATH,
+  AI_REQUEST_TIMEOUT_MS,
+} = require('../../config/env');
+const createGeminiProvider = require('./geminiProvider');
+const createOpenAIProvider = require('./openaiProvider');
+const createEchoProvider = require('./echoProvider');
+
+// Provider factories by name (one per AI_PROVIDER_NAMES entry in config/env.js)
+const factories = {
+  gemini: () => createGeminiProvider({
+    apiKey: GEMINI_API_KEY,
+    model: GEMINI_MODEL,
+  }),
+  openai: () => createOpenAIProvider({
+    baseUrl: OPENAI_BASE_URL,
+    apiKey: OPENAI_API_KEY,
+    model: OPENAI_MODEL,
+    timeoutMs: AI_REQUEST_TIMEOUT_MS,
+  }),
+  echo: () => createEchoProvider({
+    fixturesPath: AI_FIXTURES_PATH,
+  }),
+};
+
+// Providers are created lazily and reused
+const instances = new Map();
+
+/**
+ * Resolve the provider name to use, falling back to the deployment default
+ * @param {string|null} name - Provider name (e.g. a user's override)
+ * @returns {string} - Provider name
+ */
+const resolveProviderName = (name) => {
+  return name || AI_PROVIDER;
+};
+
+/**
+ * Get a provider by name, falling back to the deployment default
+ * @param {string|null} name - Provider name (e.g. a user's override)
+ * @returns {Object} - Provider instance
+ */
+const getProvider = (name) => {
+  const providerName = resolveProviderName(name);
+
+  if (!factories[providerName]) {
+    throw new Error(`Unknown AI provider: ${providerName}`);
+  }
+
+  if (!instances.has(providerName)) {
+    instances.set(providerName, factories[providerName]());
+  }
+
+  return instances.get(providerName);
+};
+
+module.exports = {
+  resolveProviderName,
+  getProvider,
+};
@@ -0,0 +1,113 @@
+// ============================================
+// OPENAI-COMPATIBLE PROVIDER
+// Talks to any /v1/chat/completions server
+// (OpenAI, Ollama, llama.cpp, vLLM, ...)
+// ============================================
+
+/**
+ * Combine a caller's abort signal with a request timeout
+ * @param {AbortSignal|undefined} signal - Caller's signal
+ * @param {number} timeoutMs - Timeout in milliseconds
+ * @returns {AbortSignal} - Signal that aborts on either
+ */
+const withTimeout = (signal, timeoutMs) => {
+  const timeout = AbortSignal.timeout(timeoutMs);
+  return signal ? AbortSignal.any([signal, timeout]) : timeout;
+};
+
+/**
+ * Create an OpenAI-compatible provider
+ * @param {Object} config - { baseUrl, apiKey?, model, timeoutMs }
+ * @returns {Object} - Provider with name, generate() and stream()
+ */
+const createOpenAIProvider = ({ baseUrl, apiKey, model, timeoutMs }) => {
+  if (!baseUrl) {
+    throw new Error('OPENAI_BASE_URL is not configured');
+  }
+
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+
+  /**
+   * POST a chat completion request
+   * @param {string} prompt - Full prompt text
+   * @param {Object} options - { signal?, stream }
+   * @returns {Promise<Response>} - Successful fetch response
+   */
+  const request = async (prompt, { signal, stream }) => {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature: 0.2,
+        stream,
+      }),
+      signal: withTimeout(signal, timeoutMs),
+    });
+
+    if (!response.ok) {
+      const body = await response.text();
+      throw new Error(`OpenAI-compatible API error ${response.status}: ${body.substring(0, 200)}`);
+    }
+
+    return response;
+  };
+
+  /**
+   * Generate a completion for a prompt
+   * @param {string} prompt - Full prompt text
+   * @param {Object} options - { signal? }
+   * @returns {Promise<string>} - Model output
+   */
+  const generate = async (prompt, { signal } = {}) => {
+    const response = await request(prompt, { signal, stream: false });
+    const data = await response.json();
+    return data.choices?.[0]?.message?.content || '';
+  };
+
+  /**
+   * Stream a completion for a prompt (server-sent "data:" lines)
+   * @param {string} prompt - Full prompt text
+   * @param {Object} options - { signal? }
+   * @returns {AsyncGenerator<string>} - Text deltas
+   */
+  const stream = async function* (prompt, { signal } = {}) {
+    const response = await request(prompt, { signal, stream: true });
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const bytes of response.body) {
+      buffer += decoder.decode(bytes, { stream: true });
+
+      const lines = buffer.split('\n');
+      buffer = lines.pop(); // Keep the incomplete line for the next read
+
+      for (const line of lines) {
+        const data = line.replace(/^data:\s*/, '').trim();
+        if (!line.startsWith('data:') || !data || data === '[DONE]') {
+          continue;
+        }
+
+        const text = JSON.parse(data).choices?.[0]?.delta?.content;
+        if (text) {
+          yield text;
+        }
+      }
+    }
+  };
+
+  return {
+    name: 'openai',
+    model,
+    generate,
+    stream,
+  };
+};
+
+module.exports = createOpenAIProvider;
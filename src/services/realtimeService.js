@@ -0,0 +1,37 @@
+// ============================================
+// REALTIME SERVICE
+// In-process pub/sub of per-user events for live client streams
+// ============================================
+
+const { EventEmitter } = require('events');
+
+// One channel per user ID; any number of open streams may listen
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+/**
+ * Publish an event to every open stream of a user
+ * @param {string} userId - User ID
+ * @param {string} event - Event name (e.g. "qr", "connection", "messages")
+ * @param {*} data - JSON-serializable payload
+ */
+const publish = (userId, event, data) => {
+  bus.emit(String(userId), { event, data });
+};
+
+/**
+ * Listen to a user's events
+ * @param {string} userId - User ID
+ * @param {Function} listener - ({ event, data }) => void
+ * @returns {Function} - Call to stop listening
+ */
+const subscribe = (userId, listener) => {
+  const channel = String(userId);
+  bus.on(channel, listener);
+  return () => bus.off(channel, listener);
+};
+
+module.exports = {
+  publish,
+  subscribe,
+};
@@ -0,0 +1,79 @@
+// ============================================
+// RECONNECT POLICY
+// Whether, and how soon, to reconnect after WhatsApp closes the connection
+// ============================================
+
+const { RECONNECT_BASE_DELAY_MS, RECONNECT_MAX_DELAY_MS } = require('../config/env');
+
+/**
+ * Policies per disconnect reason (Baileys DisconnectReason names).
+ * maxAttempts: reconnects in a row for this reason before giving up (0 = never)
+ * immediate:   reconnect without waiting (expected, not a failure)
+ * clearAuth:   the session is unusable - delete it when giving up (user must link again)
+ */
+const RECONNECT_POLICIES = {
+  restartRequired: { maxAttempts: 5, immediate: true }, // Sent right after linking
+  connectionClosed: { maxAttempts: 10 },
+  connectionLost: { maxAttempts: 10 }, // Also timedOut (same status code)
+  unavailableService: { maxAttempts: 10 },
+  badSession: { maxAttempts: 2, clearAuth: true },
+  connectionReplaced: { maxAttempts: 0 }, // Another client opened this session
+  multideviceMismatch: { maxAttempts: 0, clearAuth: true },
+  forbidden: { maxAttempts: 0 },
+  loggedOut: { maxAttempts: 0, clearAuth: true },
+  qrTimeout: { maxAttempts: 0 }, // Nobody scanned the QR code / entered the pairing code
+  unknown: { maxAttempts: 5 },
+};
+
+/**
+ * Get the policy for a disconnect reason
+ * @param {string} reason - DisconnectReason name
+ * @returns {Object} - { maxAttempts, immediate?, clearAuth? }
+ */
+const getReconnectPolicy = (reason) => {
+  return RECONNECT_POLICIES[reason] || RECONNECT_POLICIES.unknown;
+};
+
+/**
+ * Delay before a reconnect: exponential backoff with jitter, so many
+ * sessions dropped at once don't all reconnect at the same moment
+ * @param {number} attempt - Reconnect attempt since the last successful connection (1-based)
+ * @param {Function} random - Source of randomness (0 <= x < 1)
+ * @returns {number} - Delay in milliseconds
+ */
+const getReconnectDelay = (attempt, random = Math.random) => {
+  const ceiling = Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_BASE_DELAY_MS * 2 ** (attempt - 1));
+  
+  // "Equal jitter": at least half the backoff, at most all of it
+  return Math.round(ceiling / 2 + random() * (ceiling / 2));
+};
+
+/**
+ * Decide what to do after a close
+ * @param {string} reason - DisconnectReason name
+ * @param {number} reasonAttempts - Reconnects already made in a row for this reason
+ * @param {number} attempt - Reconnects already made since the last successful connection
+ * @returns {Object} - { reconnect, delayMs, attempt, clearAuth }
+ */
+const planReconnect = (reason, reasonAttempts, attempt) => {
+  const policy = getReconnectPolicy(reason);
+  
+  if (reasonAttempts >= policy.maxAttempts) {
+    return { reconnect: false, delayMs: null, attempt, clearAuth: Boolean(policy.clearAuth) };
+  }
+  
+  const nextAttempt = attempt + 1;
+  return {
+    reconnect: true,
+    delayMs: policy.immediate ? 0 : getReconnectDelay(nextAttempt),
+    attempt: nextAttempt,
+    clearAuth: false,
+  };
+};
+
+module.exports = {
+  RECONNECT_POLICIES,
+  getReconnectPolicy,
+  getReconnectDelay,
+  planReconnect,
+};
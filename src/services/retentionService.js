@@ -0,0 +1,183 @@
+// ============================================
+// RETENTION SERVICE
+// How long messages are kept, per user and per chat
+// ============================================
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const { MESSAGE_TTL_HOURS } = require('../config/env');
+
+// Allowed retention, in hours (1 hour to 1 year)
+const RETENTION_LIMITS = { min: 1, max: 24 * 365 };
+
+/**
+ * Check a retention value from a request
+ * @param {*} hours - Value to check
+ * @returns {boolean} - True for a whole number of hours within RETENTION_LIMITS
+ */
+const isValidRetention = (hours) => {
+  return Number.isInteger(hours) && hours >= RETENTION_LIMITS.min && hours <= RETENTION_LIMITS.max;
+};
+
+/**
+ * Work out the policy that applies to a chat.
+ * A pinned chat is kept indefinitely; otherwise the chat's own setting wins
+ * over the user's, which wins over the deployment default.
+ * @param {Object|null} user - { retentionHours }
+ * @param {Object|null} chat - { retentionHours, pinned }
+ * @returns {Object} - { hours (null when pinned), pinned, source: 'chat' | 'user' | 'default' }
+ */
+const resolvePolicy = (user, chat) => {
+  if (chat?.pinned) {
+    return { hours: null, pinned: true, source: 'chat' };
+  }
+  if (chat?.retentionHours) {
+    return { hours: chat.retentionHours, pinned: false, source: 'chat' };
+  }
+  if (user?.retentionHours) {
+    return { hours: user.retentionHours, pinned: false, source: 'user' };
+  }
+  return { hours: MESSAGE_TTL_HOURS, pinned: false, source: 'default' };
+};
+
+/**
+ * Get the retention policy for one chat
+ * @param {string} userId - User ID
+ * @param {string} chatId - Chat ID
+ * @returns {Promise<Object>} - See resolvePolicy
+ */
+const getPolicy = async (userId, chatId) => {
+  const [user, chat] = await Promise.all([
+    User.findById(userId).select('retentionHours').lean(),
+    Chat.findOne({ userId, chatId }).select('retentionHours pinned').lean(),
+  ]);
+  
+  return resolvePolicy(user, chat);
+};
+
+/**
+ * Get the retention policies for several chats
+ * @param {string} userId - User ID
+ * @param {Array} chatIds - Chat IDs
+ * @returns {Promise<Map>} - chatId -> policy
+ */
+const getPolicies = async (userId, chatIds) => {
+  const [user, chats] = await Promise.all([
+    User.findById(userId).select('retentionHours').lean(),
+    Chat.find({ userId, chatId: { $in: chatIds } }).select('chatId retentionHours pinned').lean(),
+  ]);
+  
+  const chatsById = new Map(chats.map(chat => [chat.chatId, chat]));
+  return new Map(chatIds.map(chatId => [chatId, resolvePolicy(user, chatsById.get(chatId))]));
+};
+
+/**
+ * Expiry for a message stored now under a policy
+ * @param {Object} policy - See resolvePolicy
+ * @param {Date} from - When the message was stored
+ * @returns {Date|null} - Expiry, or null to keep it indefinitely
+ */
+const getExpiresAt = (policy, from = new Date()) => {
+  return policy.hours === null
+    ? null
+    : new Date(from.getTime() + policy.hours * 60 * 60 * 1000);
+};
+
+/**
+ * When a chat's oldest stored message expires
+ * @param {string} userId - User ID
+ * @param {string} chatId - Chat ID
+ * @returns {Promise<Date|null>} - Next expiry, or null if nothing will expire
+ */
+const getNextExpiry = async (userId, chatId) => {
+  const next = await Message.findOne({ userId, chatId, expiresAt: { $ne: null } })
+    .sort({ expiresAt: 1 })
+    .select('expiresAt')
+    .lean();
+  
+  return next?.expiresAt || null;
+};
+
+/**
+ * Recompute expiresAt of stored messages after a policy change.
+ * Expiry counts from when each message was stored, so shortening the
+ * policy can expire older messages right away.
+ * @param {Object} filter - Messages to update
+ * @param {Object} policy - See resolvePolicy
+ * @returns {Promise<number>} - Messages updated
+ */
+const recomputeExpiry = async (filter, policy) => {
+  const update = policy.hours === null
+    ? { $set: { expiresAt: null } }
+    : [{ $set: { expiresAt: { $add: ['$createdAt', policy.hours * 60 * 60 * 1000] } } }];
+  
+  // Not an edit of the messages - keep updatedAt (and cached summaries) as they are
+  const result = await Message.updateMany(filter, update, { timestamps: false });
+  return result.modifiedCount;
+};
+
+/**
+ * Change a user's default retention and re-date their messages
+ * (chats with their own setting or a pin are left alone)
+ * @param {string} userId - User ID
+ * @param {number|null} hours - Retention in hours, null for the deployment default
+ * @returns {Promise<Object>} - { user, updatedMessages }
+ */
+const setUserRetention = async (userId, hours) => {
+  const user = await User.findById(userId);
+  user.retentionHours = hours;
+  await user.save();
+  
+  const overridden = await Chat.distinct('chatId', {
+    userId,
+    $or: [{ pinned: true }, { retentionHours: { $ne: null } }],
+  });
+  
+  const updatedMessages = await recomputeExpiry(
+    { userId: new mongoose.Types.ObjectId(userId), chatId: { $nin: overridden } },
+    resolvePolicy(user, null)
+  );
+  
+  return { user, updatedMessages };
+};
+
+/**
+ * Change a chat's retention or pin and re-date its messages
+ * @param {string} userId - User ID
+ * @param {string} chatId - Chat ID
+ * @param {Object} changes - { hours?: number|null, pinned?: boolean }
+ * @returns {Promise<Object>} - { policy, updatedMessages }
+ */
+const setChatRetention = async (userId, chatId, { hours, pinned }) => {
+  const $set = {};
+  if (hours !== undefined) $set.retentionHours = hours;
+  if (pinned !== undefined) $set.pinned = pinned;
+  
+  await Chat.updateOne(
+    { userId, chatId },
+    { $set, $setOnInsert: { isGroup: chatId.endsWith('@g.us') } },
+    { upsert: true, runValidators: true }
+  );
+  
+  const policy = await getPolicy(userId, chatId);
+  const updatedMessages = await recomputeExpiry(
+    { userId: new mongoose.Types.ObjectId(userId), chatId },
+    policy
+  );
+  
+  return { policy, updatedMessages };
+};
+
+module.exports = {
+  RETENTION_LIMITS,
+  isValidRetention,
+  resolvePolicy,
+  getPolicy,
+  getPolicies,
+  getExpiresAt,
+  getNextExpiry,
+  setUserRetention,
+  setChatRetention,
+};
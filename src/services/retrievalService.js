@@ -0,0 +1,107 @@
+// ============================================
+// RETRIEVAL SERVICE
+// Picks the messages most relevant to a question (keyword ranking)
+// ============================================
+
+const { estimateTokens } = require('./chunker');
+
+// Common words that carry no meaning for matching
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'about', 'as', 'at', 'be', 'but', 'by', 'can', 'did',
+  'do', 'does', 'for', 'from', 'had', 'has', 'have', 'he', 'her', 'him', 'his',
+  'how', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our',
+  'say', 'said', 'she', 'so', 'that', 'the', 'their', 'them', 'they', 'this',
+  'to', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why',
+  'will', 'with', 'you', 'your',
+]);
+
+/**
+ * Split text into lowercase search terms
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} - Terms (stopwords removed)
+ */
+const tokenize = (text) => {
+  const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return words.filter(word => word.length > 1 && !STOPWORDS.has(word));
+};
+
+/**
+ * Select the messages most relevant to a query, within a token budget.
+ * Messages are ranked by TF-IDF over their content (sender names count too),
+ * and each hit brings its neighbours along for context. If the whole chat
+ * fits the budget it is returned as-is.
+ * @param {Array} messages - Messages sorted oldest first
+ * @param {string} query - Question (plus any follow-up context)
+ * @param {Object} options - { tokenBudget, formatMessage, contextWindow? }
+ * @returns {Array} - Selected messages, oldest first
+ */
+const retrieveMessages = (messages, query, { tokenBudget, formatMessage, contextWindow = 2 }) => {
+  const costs = messages.map(msg => estimateTokens(formatMessage(msg)) + 1);
+  const total = costs.reduce((sum, cost) => sum + cost, 0);
+  
+  if (total <= tokenBudget) {
+    return messages;
+  }
+  
+  const terms = [...new Set(tokenize(query))];
+  const documents = messages.map((msg) => {
+    // File and place names make media findable too
+    const media = msg.media ? `${msg.media.fileName || ''} ${msg.media.name || ''}` : '';
+    return tokenize(`${msg.sender || ''} ${msg.content || ''} ${media}`);
+  });
+  
+  // Inverse document frequency per term
+  const idf = new Map(terms.map((term) => {
+    const df = documents.filter(doc => doc.includes(term)).length;
+    return [term, df > 0 ? Math.log(1 + messages.length / df) : 0];
+  }));
+  
+  const ranked = documents
+    .map((doc, index) => ({
+      index,
+      score: terms.reduce((sum, term) => {
+        const tf = doc.filter(word => word === term).length;
+        return sum + tf * idf.get(term);
+      }, 0),
+    }))
+    .filter(item => item.score > 0)
+    .sort((a, b) => b.score - a.score || b.index - a.index);
+  
+  const selected = new Set();
+  let used = 0;
+  
+  const add = (index) => {
+    if (index < 0 || index >= messages.length || selected.has(index)) {
+      return true;
+    }
+    if (used + costs[index] > tokenBudget) {
+      return false;
+    }
+    selected.add(index);
+    used += costs[index];
+    return true;
+  };
+  
+  // Best hits first, each with surrounding messages for context
+  for (const { index } of ranked) {
+    if (!add(index)) break;
+    for (let offset = 1; offset <= contextWindow; offset++) {
+      add(index - offset);
+      add(index + offset);
+    }
+  }
+  
+  // Nothing matched - fall back to the most recent messages
+  if (selected.size === 0) {
+    for (let index = messages.length - 1; index >= 0; index--) {
+      if (!add(index)) break;
+    }
+  }
+  
+  return [...selected].sort((a, b) => a - b).map(index => messages[index]);
+};
+
+module.exports = {
+  tokenize,
+  retrieveMessages,
+};
@@ -0,0 +1,172 @@
+// ============================================
+// SCHEDULE SERVICE
+// Persist delivery schedules and claim due runs across instances
+// ============================================
+
+const mongoose = require('mongoose');
+const Schedule = require('../models/Schedule');
+const { nextOccurrence } = require('../utils/timezone');
+
+/**
+ * Compute when a schedule fires next
+ * @param {Object} schedule - { time, timezone, days, enabled }
+ * @param {Date} after - Only occurrences strictly after this instant
+ * @returns {Date|null} - Next run, or null while disabled
+ */
+const computeNextRun = (schedule, after = new Date()) => {
+  if (!schedule.enabled) {
+    return null;
+  }
+  
+  return nextOccurrence(schedule.time, schedule.timezone, {
+    after,
+    days: schedule.days,
+  });
+};
+
+/**
+ * Create a schedule
+ * @param {string} userId - User ID
+ * @param {Object} data - Schedule fields (see Schedule model)
+ * @returns {Promise<Object>} - Saved schedule
+ * @throws {mongoose.Error.ValidationError} - If a field is invalid
+ */
+const createSchedule = async (userId, data) => {
+  const schedule = new Schedule({ ...data, userId });
+  
+  // Check time/timezone before computing the next run from them
+  await schedule.validate();
+  schedule.nextRunAt = computeNextRun(schedule);
+  return schedule.save();
+};
+
+/**
+ * Get a user's schedules (oldest first)
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Schedules
+ */
+const getSchedules = async (userId) => {
+  try {
+    return await Schedule.find({ userId }).sort({ createdAt: 1 }).lean();
+  } catch (error) {
+    console.error('Error getting schedules:', error);
+    return [];
+  }
+};
+
+/**
+ * Get one of a user's schedules
+ * @param {string} userId - User ID
+ * @param {string} scheduleId - Schedule ID
+ * @returns {Promise<Object|null>} - Schedule document or null if not found
+ */
+const getSchedule = async (userId, scheduleId) => {
+  try {
+    if (!mongoose.isValidObjectId(scheduleId)) {
+      return null;
+    }
+    
+    return await Schedule.findOne({ _id: scheduleId, userId });
+  } catch (error) {
+    console.error('Error getting schedule:', error);
+    return null;
+  }
+};
+
+/**
+ * Update a schedule and recompute its next run
+ * @param {Object} schedule - Schedule document from getSchedule
+ * @param {Object} changes - Fields to change
+ * @returns {Promise<Object>} - Saved schedule
+ * @throws {mongoose.Error.ValidationError} - If a field is invalid
+ */
+const updateSchedule = async (schedule, changes) => {
+  schedule.set(changes);
+  await schedule.validate();
+  schedule.nextRunAt = computeNextRun(schedule);
+  return schedule.save();
+};
+
+/**
+ * Delete one of a user's schedules
+ * @param {string} userId - User ID
+ * @param {string} scheduleId - Schedule ID
+ * @returns {Promise<boolean>} - True if a schedule was deleted
+ */
+const deleteSchedule = async (userId, scheduleId) => {
+  try {
+    if (!mongoose.isValidObjectId(scheduleId)) {
+      return false;
+    }
+    
+    const result = await Schedule.deleteOne({ _id: scheduleId, userId });
+    return result.deletedCount > 0;
+  } catch (error) {
+    console.error('Error deleting schedule:', error);
+    return false;
+  }
+};
+
+/**
+ * Get enabled schedules that are due
+ * @param {Date} now - Current time
+ * @returns {Promise<Array>} - Due schedules
+ */
+const getDueSchedules = async (now) => {
+  try {
+    return await Schedule.find({ enabled: true, nextRunAt: { $lte: now } }).lean();
+  } catch (error) {
+    console.error('Error getting due schedules:', error);
+    return [];
+  }
+};
+
+/**
+ * Claim a due run by moving nextRunAt forward.
+ * The update only matches while nextRunAt is unchanged, so when several
+ * instances see the same due schedule exactly one of them wins the run.
+ * @param {Object} schedule - Due schedule from getDueSchedules
+ * @param {Date} now - Current time
+ * @returns {Promise<boolean>} - True if this instance owns the run
+ */
+const claimRun = async (schedule, now) => {
+  try {
+    const claimed = await Schedule.findOneAndUpdate(
+      { _id: schedule._id, enabled: true, nextRunAt: schedule.nextRunAt },
+      { nextRunAt: computeNextRun(schedule, now), lastRunAt: now }
+    );
+    return Boolean(claimed);
+  } catch (error) {
+    console.error('Error claiming schedule run:', error);
+    return false;
+  }
+};
+
+/**
+ * Record the outcome of a run
+ * @param {string} scheduleId - Schedule ID
+ * @param {string} status - 'sent' | 'skipped' | 'missed' | 'failed'
+ * @param {string|null} errorMessage - Why the run did not send
+ */
+const recordRun = async (scheduleId, status, errorMessage = null) => {
+  try {
+    await Schedule.findByIdAndUpdate(scheduleId, {
+      lastStatus: status,
+      lastError: errorMessage,
+    });
+  } catch (error) {
+    console.error('Error recording schedule run:', error);
+  }
+};
+
+module.exports = {
+  computeNextRun,
+  createSchedule,
+  getSchedules,
+  getSchedule,
+  updateSchedule,
+  deleteSchedule,
+  getDueSchedules,
+  claimRun,
+  recordRun,
+};
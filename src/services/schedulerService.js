@@ -0,0 +1,149 @@
+// ============================================
+// SCHEDULER SERVICE
+// Runs due schedules and delivers them to the user's own WhatsApp
+// ============================================
+
+const User = require('../models/User');
+const scheduleService = require('./scheduleService');
+const digestService = require('./digestService');
+const messageService = require('./messageService');
+const contactService = require('./contactService');
+const aiService = require('./aiService');
+const whatsappService = require('./whatsappService');
+const { toWhatsAppText } = require('../utils/whatsappFormat');
+const {
+  SCHEDULER_POLL_SECONDS,
+  SCHEDULE_MISSED_GRACE_MINUTES,
+} = require('../config/env');
+
+let timer = null;
+let ticking = false;
+
+/**
+ * Build the text of a selected-chats run
+ * @param {string} userId - User ID
+ * @param {Object} schedule - Schedule being run
+ * @param {Object} options - { since, provider? }
+ * @returns {Promise<string|null>} - Markdown text, or null if no chat had messages
+ */
+const buildChatSummaries = async (userId, schedule, { since, provider }) => {
+  const sections = [];
+  
+  for (const chatId of schedule.chatIds) {
+    const messages = await messageService.getChatMessages(userId, chatId, 500, { since });
+    if (messages.length === 0) continue;
+    
+    const chatName = await contactService.getChatName(userId, chatId, messages[messages.length - 1].chatName);
+    const result = await aiService.summarizeMessages(messages, { provider });
+    
+    sections.push(`**${chatName}** (${messages.length} message(s))\n${result.summary}`);
+  }
+  
+  if (sections.length === 0) {
+    return null;
+  }
+  
+  return [`**Chat summaries** (last ${schedule.hours}h)`, ...sections].join('\n\n');
+};
+
+/**
+ * Generate and send one run of a schedule
+ * @param {Object} schedule - Claimed schedule
+ * @returns {Promise<void>}
+ */
+const runSchedule = async (schedule) => {
+  const userId = schedule.userId.toString();
+  
+  try {
+    const user = await User.findById(userId).lean();
+    const since = Math.floor(Date.now() / 1000) - schedule.hours * 60 * 60;
+    const options = { since, provider: user?.aiProvider };
+    
+    const text = schedule.type === 'digest'
+      ? (await digestService.buildDigest(userId, { ...options, maxChats: schedule.maxChats })).digest
+      : await buildChatSummaries(userId, schedule, options);
+    
+    if (!text) {
+      await scheduleService.recordRun(schedule._id, 'skipped', `No messages in the last ${schedule.hours} hours`);
+      return;
+    }
+    
+    const sent = await whatsappService.sendToSelf(userId, toWhatsAppText(text));
+    if (!sent) {
+      await scheduleService.recordRun(schedule._id, 'failed', 'Could not send WhatsApp message');
+      return;
+    }
+    
+    await scheduleService.recordRun(schedule._id, 'sent');
+    console.log(`📬 Scheduled ${schedule.type} sent to user ${userId}`);
+  } catch (error) {
+    console.error(`Error running schedule ${schedule._id}:`, error);
+    await scheduleService.recordRun(schedule._id, 'failed', error.message);
+  }
+};
+
+/**
+ * Check for due schedules and run the ones this instance can deliver.
+ * Only the instance holding the user's WhatsApp socket runs a schedule;
+ * runs nobody could deliver within the grace period are marked missed.
+ * @returns {Promise<void>}
+ */
+const tick = async () => {
+  // A slow run must not overlap the next poll
+  if (ticking) return;
+  ticking = true;
+  
+  try {
+    const now = new Date();
+    const graceMs = SCHEDULE_MISSED_GRACE_MINUTES * 60 * 1000;
+    
+    for (const schedule of await scheduleService.getDueSchedules(now)) {
+      const overdue = now - schedule.nextRunAt > graceMs;
+      
+      if (overdue) {
+        if (await scheduleService.claimRun(schedule, now)) {
+          await scheduleService.recordRun(schedule._id, 'missed', 'WhatsApp was not connected at the scheduled time');
+        }
+        continue;
+      }
+      
+      if (!whatsappService.isConnected(schedule.userId.toString())) {
+        continue;
+      }
+      
+      if (await scheduleService.claimRun(schedule, now)) {
+        await runSchedule(schedule);
+      }
+    }
+  } catch (error) {
+    console.error('Scheduler error:', error);
+  } finally {
+    ticking = false;
+  }
+};
+
+/**
+ * Start polling for due schedules
+ */
+const startScheduler = () => {
+  if (timer) return;
+  
+  timer = setInterval(tick, SCHEDULER_POLL_SECONDS * 1000);
+  tick();
+  console.log(`⏰ Scheduler started (every ${SCHEDULER_POLL_SECONDS}s)`);
+};
+
+/**
+ * Stop polling (runs already in progress finish on their own)
+ */
+const stopScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  runSchedule,
+  tick,
+  startScheduler,
+  stopScheduler,
+};
@@ -0,0 +1,134 @@
+// ============================================
+// SENTIMENT STATS
+// Aggregates per-message sentiment scores by participant and over time
+// ============================================
+
+const { SENTIMENTS } = require('./summarySchema');
+
+// Candidate time bucket sizes, smallest first
+const BUCKET_SIZES_MINUTES = [15, 60, 180, 360, 720, 1440];
+
+// Aim for at most this many buckets when picking a size automatically
+const MAX_BUCKETS = 12;
+
+// Scores within +/- this band count as neutral
+const NEUTRAL_BAND = 0.2;
+
+/**
+ * Turn a -1..1 score into a sentiment label
+ * @param {number} score - Average score
+ * @returns {string} - 'positive' | 'neutral' | 'negative'
+ */
+const labelScore = (score) => {
+  if (score > NEUTRAL_BAND) return 'positive';
+  if (score < -NEUTRAL_BAND) return 'negative';
+  return 'neutral';
+};
+
+/**
+ * Pick the smallest bucket size that keeps the timeline readable
+ * @param {number} from - First Unix timestamp
+ * @param {number} to - Last Unix timestamp
+ * @returns {number} - Bucket size in minutes
+ */
+const pickBucketMinutes = (from, to) => {
+  const spanMinutes = (to - from) / 60;
+  
+  return BUCKET_SIZES_MINUTES.find(size => spanMinutes / size <= MAX_BUCKETS)
+    || BUCKET_SIZES_MINUTES[BUCKET_SIZES_MINUTES.length - 1];
+};
+
+/**
+ * Summarize a list of scores
+ * @param {Array<number>} scores - Scores between -1 and 1
+ * @returns {Object} - { sentiment, score, messageCount }
+ */
+const summarizeScores = (scores) => {
+  const score = scores.reduce((sum, s) => sum + s, 0) / scores.length;
+  
+  return {
+    sentiment: labelScore(score),
+    score: Math.round(score * 100) / 100,
+    messageCount: scores.length,
+  };
+};
+
+/**
+ * Aggregate per-message scores into overall, per-participant and timeline views
+ * @param {Array} messages - Messages sorted oldest first
+ * @param {Map<number, number>} scores - Message index -> score (unscored messages are skipped)
+ * @param {number} [bucketMinutes] - Timeline bucket size (picked automatically if omitted)
+ * @returns {Object} - { overall, participants, timeline, bucketMinutes }
+ */
+const aggregateSentiment = (messages, scores, bucketMinutes) => {
+  const scored = messages
+    .map((msg, i) => ({ msg, score: scores.get(i) }))
+    .filter(item => item.score !== undefined);
+  
+  if (scored.length === 0) {
+    return {
+      overall: {
+        sentiment: 'neutral',
+        score: 0,
+        messageCount: 0,
+        breakdown: { positive: 0, neutral: 0, negative: 0 },
+        summary: 'No messages could be scored',
+      },
+      participants: [],
+      timeline: [],
+      bucketMinutes: bucketMinutes || null,
+    };
+  }
+  
+  // Overall
+  const breakdown = Object.fromEntries(SENTIMENTS.map(label => [label, 0]));
+  scored.forEach(({ score }) => breakdown[labelScore(score)]++);
+  
+  const overall = {
+    ...summarizeScores(scored.map(item => item.score)),
+    breakdown,
+  };
+  overall.summary = `Overall ${overall.sentiment} (${breakdown.positive} positive, `
+    + `${breakdown.neutral} neutral, ${breakdown.negative} negative messages)`;
+  
+  // Per participant (most active first)
+  const bySender = new Map();
+  scored.forEach(({ msg, score }) => {
+    const sender = msg.sender || 'Unknown';
+    if (!bySender.has(sender)) bySender.set(sender, []);
+    bySender.get(sender).push(score);
+  });
+  
+  const participants = [...bySender.entries()]
+    .map(([sender, senderScores]) => ({ sender, ...summarizeScores(senderScores) }))
+    .sort((a, b) => b.messageCount - a.messageCount);
+  
+  // Timeline buckets aligned to the first message (empty buckets omitted)
+  const first = scored[0].msg.timestamp;
+  const last = scored[scored.length - 1].msg.timestamp;
+  const size = bucketMinutes || pickBucketMinutes(first, last);
+  const bucketSeconds = size * 60;
+  
+  const byBucket = new Map();
+  scored.forEach(({ msg, score }) => {
+    const index = Math.floor((msg.timestamp - first) / bucketSeconds);
+    if (!byBucket.has(index)) byBucket.set(index, []);
+    byBucket.get(index).push(score);
+  });
+  
+  const timeline = [...byBucket.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([index, bucketScores]) => ({
+      from: first + index * bucketSeconds,
+      to: first + (index + 1) * bucketSeconds,
+      ...summarizeScores(bucketScores),
+    }));
+  
+  return { overall, participants, timeline, bucketMinutes: size };
+};
+
+module.exports = {
+  labelScore,
+  pickBucketMinutes,
+  aggregateSentiment,
+};
@@ -0,0 +1,168 @@
+// ============================================
+// SUMMARY SCHEMAS
+// Validation for structured AI output and markdown rendering
+// ============================================
+
+const SENTIMENTS = ['positive', 'neutral', 'negative'];
+
+/**
+ * Check that a value is an array of non-empty strings
+ * @param {*} value - Value to check
+ * @param {string} path - Field path for error messages
+ * @param {Array<string>} errors - Collected errors
+ */
+const checkStringArray = (value, path, errors) => {
+  if (!Array.isArray(value)) {
+    errors.push(`${path} must be an array`);
+    return;
+  }
+  
+  value.forEach((item, i) => {
+    if (typeof item !== 'string' || item.trim().length === 0) {
+      errors.push(`${path}[${i}] must be a non-empty string`);
+    }
+  });
+};
+
+/**
+ * Check that a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+const isObject = (value) => {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+};
+
+/**
+ * Validate a structured summary
+ * Shape: { topics[], decisions[], actionItems[{assignee, task, dueDate?}], updates[], tone }
+ * @param {*} value - Parsed JSON
+ * @returns {Array<string>} - Validation errors (empty if valid)
+ */
+const validateSummary = (value) => {
+  const errors = [];
+  
+  if (!isObject(value)) {
+    return ['summary must be a JSON object'];
+  }
+  
+  checkStringArray(value.topics, 'topics', errors);
+  checkStringArray(value.decisions, 'decisions', errors);
+  checkStringArray(value.updates, 'updates', errors);
+  
+  if (!Array.isArray(value.actionItems)) {
+    errors.push('actionItems must be an array');
+  } else {
+    value.actionItems.forEach((item, i) => {
+      if (!isObject(item)) {
+        errors.push(`actionItems[${i}] must be an object`);
+        return;
+      }
+      if (typeof item.assignee !== 'string' || item.assignee.trim().length === 0) {
+        errors.push(`actionItems[${i}].assignee must be a non-empty string`);
+      }
+      if (typeof item.task !== 'string' || item.task.trim().length === 0) {
+        errors.push(`actionItems[${i}].task must be a non-empty string`);
+      }
+      if (item.dueDate !== undefined && item.dueDate !== null && typeof item.dueDate !== 'string') {
+        errors.push(`actionItems[${i}].dueDate must be a string or null`);
+      }
+    });
+  }
+  
+  if (typeof value.tone !== 'string' || value.tone.trim().length === 0) {
+    errors.push('tone must be a non-empty string');
+  }
+  
+  return errors;
+};
+
+/**
+ * Validate a topic list
+ * @param {*} value - Parsed JSON
+ * @returns {Array<string>} - Validation errors (empty if valid)
+ */
+const validateTopics = (value) => {
+  const errors = [];
+  checkStringArray(value, 'topics', errors);
+  return errors;
+};
+
+/**
+ * Validate per-message sentiment scores
+ * Shape: { scores: [{ i: message index, score: -1 (negative) to 1 (positive) }] }
+ * @param {*} value - Parsed JSON
+ * @returns {Array<string>} - Validation errors (empty if valid)
+ */
+const validateMessageScores = (value) => {
+  const errors = [];
+  
+  if (!isObject(value) || !Array.isArray(value.scores)) {
+    return ['reply must be a JSON object with a "scores" array'];
+  }
+  
+  value.scores.forEach((item, i) => {
+    if (!isObject(item) || !Number.isInteger(item.i) || item.i < 0) {
+      errors.push(`scores[${i}].i must be a message index`);
+    } else if (typeof item.score !== 'number' || item.score < -1 || item.score > 1) {
+      errors.push(`scores[${i}].score must be a number between -1 and 1`);
+    }
+  });
+  
+  return errors;
+};
+
+/**
+ * Validate an answer to a question about a chat
+ * Shape: { answer, citations: [message ID] }
+ * @param {*} value - Parsed JSON
+ * @returns {Array<string>} - Validation errors (empty if valid)
+ */
+const validateAnswer = (value) => {
+  const errors = [];
+  
+  if (!isObject(value)) {
+    return ['reply must be a JSON object'];
+  }
+  
+  if (typeof value.answer !== 'string' || value.answer.trim().length === 0) {
+    errors.push('answer must be a non-empty string');
+  }
+  
+  checkStringArray(value.citations, 'citations', errors);
+  
+  return errors;
+};
+
+/**
+ * Render a structured summary as markdown (same sections as free-form summaries)
+ * @param {Object} summary - Validated structured summary
+ * @returns {string} - Markdown text
+ */
+const renderSummaryMarkdown = (summary) => {
+  const list = (items) => {
+    return items.length > 0 ? items.map(item => `- ${item}`).join('\n') : '- None';
+  };
+  
+  const actionItems = summary.actionItems.map((item) => {
+    const due = item.dueDate ? ` (due ${item.dueDate})` : '';
+    return `${item.assignee}: ${item.task}${due}`;
+  });
+  
+  return [
+    `**Main Topics**\n${list(summary.topics)}`,
+    `**Key Decisions**\n${list(summary.decisions)}`,
+    `**Action Items**\n${list(actionItems)}`,
+    `**Important Updates**\n${list(summary.updates)}`,
+    `**Overall Tone**\n${summary.tone}`,
+  ].join('\n\n');
+};
+
+module.exports = {
+  SENTIMENTS,
+  validateSummary,
+  validateTopics,
+  validateMessageScores,
+  validateAnswer,
+  renderSummaryMarkdown,
+};
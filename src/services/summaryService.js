@@ -0,0 +1,182 @@
+// ============================================
+// SUMMARY SERVICE
+// Persist summaries and reuse them for unchanged message windows
+// ============================================
+
+const crypto = require('crypto');
+const Summary = require('../models/Summary');
+const SummaryMarker = require('../models/SummaryMarker');
+
+/**
+ * Describe the message window covered by a list of messages
+ * @param {Array} messages - Messages sorted oldest first
+ * @returns {Object} - { firstMessageId, lastMessageId, from, to, messageCount }
+ */
+const getRange = (messages) => {
+  const first = messages[0];
+  const last = messages[messages.length - 1];
+  
+  return {
+    firstMessageId: first.messageId,
+    lastMessageId: last.messageId,
+    from: first.timestamp,
+    to: last.timestamp,
+    messageCount: messages.length,
+  };
+};
+
+/**
+ * Get the latest change to any message in a window, so edits, deletions
+ * and reactions invalidate cached summaries of an otherwise unchanged range
+ * @param {Array} messages - Messages in the window
+ * @returns {number} - Latest updatedAt in milliseconds (0 if unknown)
+ */
+const getRevision = (messages) => {
+  return Math.max(0, ...messages.map(msg => new Date(msg.updatedAt || 0).getTime()));
+};
+
+/**
+ * Build a cache key from everything that affects a summary's output
+ * @param {Object} params - { chatId, range, revision, promptVersion, provider, format, mode, previousSummaryId? }
+ * @returns {string} - SHA-256 hex digest
+ */
+const buildCacheKey = ({ chatId, range, revision, promptVersion, provider, format, mode, previousSummaryId }) => {
+  const parts = [
+    chatId,
+    range.firstMessageId,
+    range.lastMessageId,
+    range.messageCount,
+    revision,
+    promptVersion,
+    provider,
+    format,
+    mode,
+    previousSummaryId || '',
+  ];
+  
+  return crypto.createHash('sha256').update(parts.join('|')).digest('hex');
+};
+
+/**
+ * Find a cached summary for a cache key
+ * @param {string} userId - User ID
+ * @param {string} cacheKey - Cache key from buildCacheKey
+ * @returns {Promise<Object|null>} - Cached summary or null
+ */
+const findCachedSummary = async (userId, cacheKey) => {
+  try {
+    return await Summary.findCached(userId, cacheKey);
+  } catch (error) {
+    console.error('Error finding cached summary:', error);
+    return null;
+  }
+};
+
+/**
+ * Store a generated summary
+ * @param {Object} data - Summary fields (see Summary model)
+ * @returns {Promise<Object|null>} - Saved summary or null
+ */
+const saveSummary = async (data) => {
+  try {
+    return await Summary.create(data);
+  } catch (error) {
+    console.error('Error saving summary:', error);
+    return null;
+  }
+};
+
+/**
+ * Get a user's summary history (newest first)
+ * @param {string} userId - User ID
+ * @param {Object} options - { chatId?, limit, skip }
+ * @returns {Promise<Object>} - { summaries, total }
+ */
+const getSummaries = async (userId, { chatId, limit = 20, skip = 0 } = {}) => {
+  try {
+    const filter = chatId ? { userId, chatId } : { userId };
+    
+    const [summaries, total] = await Promise.all([
+      Summary.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select('-cacheKey')
+        .lean(),
+      Summary.countDocuments(filter),
+    ]);
+    
+    return { summaries, total };
+  } catch (error) {
+    console.error('Error getting summaries:', error);
+    return { summaries: [], total: 0 };
+  }
+};
+
+/**
+ * Find the summary to continue from in incremental mode
+ * @param {string} userId - User ID
+ * @param {string} chatId - Chat ID
+ * @param {number} before - Unix timestamp the new window starts after
+ * @returns {Promise<Object|null>} - Previous summary or null
+ */
+const getPreviousSummary = async (userId, chatId, before) => {
+  try {
+    return await Summary.findPrevious(userId, chatId, before);
+  } catch (error) {
+    console.error('Error getting previous summary:', error);
+    return null;
+  }
+};
+
+/**
+ * Get the "last summarized" marker for a chat
+ * @param {string} userId - User ID
+ * @param {string} chatId - Chat ID
+ * @returns {Promise<Object|null>} - Marker or null if never summarized
+ */
+const getMarker = async (userId, chatId) => {
+  try {
+    return await SummaryMarker.findOne({ userId, chatId }).lean();
+  } catch (error) {
+    console.error('Error getting summary marker:', error);
+    return null;
+  }
+};
+
+/**
+ * Move the "last summarized" marker to the end of a summarized window
+ * @param {string} userId - User ID
+ * @param {string} chatId - Chat ID
+ * @param {Object} range - Range from getRange
+ * @param {string|null} summaryId - Summary that covered the range
+ * @returns {Promise<Object|null>} - Updated marker or null
+ */
+const updateMarker = async (userId, chatId, range, summaryId) => {
+  try {
+    return await SummaryMarker.findOneAndUpdate(
+      { userId, chatId },
+      {
+        lastTimestamp: range.to,
+        lastMessageId: range.lastMessageId,
+        summaryId,
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    console.error('Error updating summary marker:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  getRange,
+  getRevision,
+  buildCacheKey,
+  findCachedSummary,
+  saveSummary,
+  getSummaries,
+  getPreviousSummary,
+  getMarker,
+  updateMarker,
+};
@@ -7,62 +7,131 @@ const {
   default: makeWASocket,
   DisconnectReason,
   fetchLatestBaileysVersion,
-  useMultiFileAuthState,
-  BufferJSON,
-  initAuthCreds,
+  makeCacheableSignalKeyStore,
+  jidNormalizedUser,
 } = require('@whiskeysockets/baileys');
 const pino = require('pino');
 const QRCode = require('qrcode');
 const User = require('../models/User');
 const WhatsAppAuth = require('../models/WhatsAppAuth');
 const messageService = require('./messageService');
+const ingestionService = require('./ingestionService');
+const commandService = require('./commandService');
+const historySyncService = require('./historySyncService');
+const contactService = require('./contactService');
+const authStateService = require('./authStateService');
+const realtimeService = require('./realtimeService');
+const reconnectPolicy = require('./reconnectPolicy');
+const connectionEventService = require('./connectionEventService');
 
 // Store active connections in memory
 const activeConnections = new Map();
 
+// Pairing codes: how long a code is offered, and how many codes may be
+// requested per window (each one sends a notification to the phone)
+const PAIRING_CODE_TTL_MS = 3 * 60 * 1000;
+const PAIRING_MAX_ATTEMPTS = 5;
+const PAIRING_WINDOW_MS = 15 * 60 * 1000;
+
+// How long to wait for a new socket to be ready to pair
+const PAIRING_READY_TIMEOUT_MS = 30 * 1000;
+
 /**
- * MongoDB-based auth state handler
+ * Name of a Baileys disconnect status code (e.g. 401 -> "loggedOut")
+ * @param {number} statusCode - Status code from lastDisconnect
+ * @returns {string} - DisconnectReason name, or "unknown"
  */
-const useMongoDBAuthState = async (userId) => {
-  // Load auth from MongoDB
-  let authDoc = await WhatsAppAuth.findOne({ userId });
+const getDisconnectReasonName = (statusCode) => {
+  return Object.keys(DisconnectReason).find(key => DisconnectReason[key] === statusCode) || 'unknown';
+};
+
+/**
+ * Stop a connection's socket: cancel its pending reconnect, remove our
+ * listeners (so its close can't trigger another reconnect) and close it
+ * @param {Object} connection - Entry from activeConnections
+ * @param {Object} options - { logout } (also unlink the device from the phone)
+ */
+const teardownConnection = async (connection, { logout = false } = {}) => {
+  clearTimeout(connection.reconnect?.timer);
   
-  if (!authDoc) {
-    // Create new auth document with initial credentials
-    const creds = initAuthCreds();
-    authDoc = await WhatsAppAuth.create({
-      userId,
-      authState: { creds },
-    });
+  const { sock } = connection;
+  if (!sock) {
+    return;
   }
   
-  const state = authDoc.authState || { creds: initAuthCreds() };
+  for (const [event, handler] of connection.listeners || []) {
+    sock.ev.off(event, handler);
+  }
   
-  const saveState = async () => {
-    await WhatsAppAuth.findOneAndUpdate(
-      { userId },
-      { 
-        authState: state,
-        lastConnected: new Date(),
-      },
-      { upsert: true }
-    );
-  };
+  if (logout) {
+    try {
+      await sock.logout();
+    } catch (error) {
+      // Not open (e.g. waiting for a QR scan) - nothing to unlink
+      console.error('Logout error:', error.message);
+    }
+  }
   
-  return {
-    state: {
-      creds: state.creds || initAuthCreds(),
-      keys: state.keys || {},
-    },
-    saveCreds: async () => {
-      state.creds = arguments[0] || state.creds;
-      await saveState();
-    },
-    saveKeys: async () => {
-      state.keys = arguments[0] || state.keys;
-      await saveState();
-    },
-  };
+  try {
+    await sock.end(undefined);
+  } catch (error) {
+    console.error('Error closing socket:', error);
+  }
+};
+
+/**
+ * After a close: reconnect with backoff, or give up according to the
+ * policy for the disconnect reason (see reconnectPolicy)
+ * @param {string} userId - User ID
+ * @param {Object} disconnect - { reason, statusCode?, message? }
+ */
+const scheduleReconnect = async (userId, { reason, statusCode = null, message = null }) => {
+  const conn = activeConnections.get(userId);
+  if (!conn) {
+    return;
+  }
+  
+  const { reconnect } = conn;
+  const plan = reconnectPolicy.planReconnect(reason, reconnect.byReason[reason] || 0, reconnect.attempt);
+  
+  realtimeService.publish(userId, 'connection', {
+    status: 'close',
+    reason,
+    statusCode,
+    message,
+    willReconnect: plan.reconnect,
+    reconnectInMs: plan.delayMs,
+    attempt: plan.reconnect ? plan.attempt : null,
+  });
+  await connectionEventService.logEvent(userId, 'close', { reason, statusCode, message });
+  
+  if (plan.reconnect) {
+    reconnect.attempt = plan.attempt;
+    reconnect.byReason[reason] = (reconnect.byReason[reason] || 0) + 1;
+    
+    console.log(`🔄 Will reconnect user ${userId} in ${Math.round(plan.delayMs / 1000)}s (attempt ${plan.attempt}, ${reason})`);
+    await connectionEventService.logEvent(userId, 'reconnect', { reason, attempt: plan.attempt, delayMs: plan.delayMs });
+    
+    reconnect.timer = setTimeout(() => {
+      initConnection(userId).catch((error) => {
+        scheduleReconnect(userId, { reason: 'unknown', message: error.message }).catch((scheduleError) => {
+          console.error(`Error scheduling reconnect for user ${userId}:`, scheduleError);
+        });
+      });
+    }, plan.delayMs);
+    return;
+  }
+  
+  await teardownConnection(conn);
+  activeConnections.delete(userId);
+  await connectionEventService.logEvent(userId, 'gave_up', { reason, attempt: reconnect.attempt });
+  
+  if (plan.clearAuth) {
+    // The session can't be used again - the user has to link WhatsApp again
+    await authStateService.clearAuthState(userId);
+  }
+  
+  console.log(`⛔ Stopped reconnecting user ${userId} (${reason})`);
 };
 
 /**
@@ -72,23 +141,41 @@ const initConnection = async (userId) => {
   try {
     console.log(`🔄 Initializing WhatsApp connection for user: ${userId}`);
     
+    // Close the socket this one replaces (a reconnect, or connect called again)
+    const previous = activeConnections.get(userId);
+    if (previous) {
+      await teardownConnection(previous);
+    }
+    
     // Use MongoDB auth state
-    const { state, saveCreds } = await useMongoDBAuthState(userId);
+    const { state, saveCreds } = await authStateService.useMongoDBAuthState(userId);
     
     // Get latest WhatsApp version
     const { version } = await fetchLatestBaileysVersion();
     
+    // Opt-in import of existing history (null when disabled)
+    const user = await User.findById(userId).select('historySync').lean();
+    const historySync = historySyncService.createSyncState(user?.historySync);
+    
+    const logger = pino({ level: 'silent' });
+    
     // Create WhatsApp socket
     const sock = makeWASocket({
       version,
-      auth: state,
-      logger: pino({ level: 'silent' }),
+      auth: {
+        creds: state.creds,
+        // In-memory cache in front of MongoDB for the hot Signal key lookups
+        keys: makeCacheableSignalKeyStore(state.keys, logger),
+      },
+      logger,
       printQRInTerminal: false,
       defaultQueryTimeoutMs: 60000,
       connectTimeoutMs: 60000,
       keepAliveIntervalMs: 10000,
       browser: ['WhatsApp Summarizer', 'Chrome', '10.0'],
-      syncFullHistory: false,
+      syncFullHistory: Boolean(historySync),
+      // Baileys skips full history syncs by default; the lookback/cap bound them instead
+      ...(historySync && { shouldSyncHistoryMessage: () => true }),
       getMessage: async (key) => {
         return { conversation: '' };
       },
@@ -97,33 +184,74 @@ const initConnection = async (userId) => {
     let qrCode = null;
     let connected = false;
     
-    // Store connection info
-    activeConnections.set(userId, { sock, qrCode, connected });
+    // Groups whose subject is stored (checked once per connection)
+    const knownGroups = new Set();
+    
+    // Store connection info (a reconnect keeps the pairing attempts and
+    // reconnect counters, not the code)
+    const pairing = previous?.pairing ? { ...previous.pairing, code: null, expiresAt: null } : null;
+    const reconnect = previous?.reconnect
+      ? { attempt: previous.reconnect.attempt, byReason: previous.reconnect.byReason }
+      : { attempt: 0, byReason: {} };
+    const listeners = [];
+    activeConnections.set(userId, { sock, status: 'connecting', qrCode, connected, historySync, pairing, listeners, reconnect });
+    
+    // Listeners are recorded so teardownConnection can remove them
+    const listen = (event, handler) => {
+      sock.ev.on(event, handler);
+      listeners.push([event, handler]);
+    };
+    
+    await connectionEventService.logEvent(userId, 'connecting', { attempt: reconnect.attempt || null });
     
     // Save credentials
-    sock.ev.on('creds.update', saveCreds);
+    listen('creds.update', saveCreds);
     
     // Handle connection updates
-    sock.ev.on('connection.update', async (update) => {
+    listen('connection.update', async (update) => {
       const { connection, lastDisconnect, qr } = update;
       
+      // Late update from a socket that has been replaced
+      if (activeConnections.get(userId)?.sock !== sock) {
+        return;
+      }
+      
       if (qr) {
         try {
           qrCode = await QRCode.toDataURL(qr);
           const conn = activeConnections.get(userId);
           if (conn) conn.qrCode = qrCode;
+          realtimeService.publish(userId, 'qr', { qrCode });
           console.log(`📱 QR code generated for user: ${userId}`);
         } catch (error) {
           console.error('QR code generation error:', error);
         }
       }
       
+      if (connection === 'connecting') {
+        const conn = activeConnections.get(userId);
+        if (conn) conn.status = 'connecting';
+        realtimeService.publish(userId, 'connection', { status: 'connecting' });
+      }
+      
       if (connection === 'open') {
         connected = true;
         const conn = activeConnections.get(userId);
         if (conn) {
+          conn.status = 'open';
           conn.connected = true;
           conn.qrCode = null;
+          conn.pairing = null;
+          conn.reconnect = { attempt: 0, byReason: {} };
+        }
+        realtimeService.publish(userId, 'connection', { status: 'open' });
+        await connectionEventService.logEvent(userId, 'open');
+        
+        // WhatsApp only sends history when a device is first linked; a device that
+        // finished its initial sync before (same check as Baileys) gets none
+        if (historySync?.status === 'waiting' && state.creds.accountSyncCounter > 0) {
+          historySyncService.completeSync(historySync);
+          realtimeService.publish(userId, 'historySync', historySyncService.formatSyncStatus(historySync));
         }
         
         // Update MongoDB
@@ -135,15 +263,37 @@ const initConnection = async (userId) => {
         await User.findByIdAndUpdate(userId, { whatsappConnected: true });
         
         console.log(`✅ WhatsApp connected for user: ${userId}`);
+        
+        // Refresh group subjects (a failed lookup only costs us the names)
+        try {
+          const groups = await sock.groupFetchAllParticipating();
+          await contactService.saveGroups(userId, Object.values(groups));
+          Object.keys(groups).forEach(id => knownGroups.add(id));
+        } catch (error) {
+          console.error('Error fetching groups:', error);
+        }
       }
       
       if (connection === 'close') {
         connected = false;
-        const statusCode = lastDisconnect?.error?.output?.statusCode;
-        const shouldReconnect = statusCode !== DisconnectReason.loggedOut;
+        const statusCode = lastDisconnect?.error?.output?.statusCode || null;
+        const message = lastDisconnect?.error?.message || null;
+        
+        // An unlinked session times out when nobody scans the QR code
+        const reason = !state.creds.registered && statusCode === DisconnectReason.timedOut
+          ? 'qrTimeout'
+          : getDisconnectReasonName(statusCode);
+        
+        // A pairing code only works on the socket it was requested on
+        const conn = activeConnections.get(userId);
+        if (conn) {
+          conn.status = 'close';
+          conn.qrCode = null;
+          if (conn.pairing) conn.pairing.code = null;
+        }
         
         console.log(`❌ WhatsApp disconnected for user: ${userId}`);
-        console.log(`Reason: ${lastDisconnect?.error?.message || 'Unknown'}`);
+        console.log(`Reason: ${reason}${message ? ` - ${message}` : ''}`);
         
         // Update MongoDB
         await WhatsAppAuth.findOneAndUpdate(
@@ -153,27 +303,78 @@ const initConnection = async (userId) => {
         
         await User.findByIdAndUpdate(userId, { whatsappConnected: false });
         
-        if (shouldReconnect) {
-          console.log(`🔄 Will reconnect user ${userId} in 5 seconds...`);
-          setTimeout(() => initConnection(userId), 5000);
-        } else {
-          // Logged out - delete auth
-          await WhatsAppAuth.findOneAndDelete({ userId });
-          activeConnections.delete(userId);
-          console.log(`⛔ User ${userId} logged out from WhatsApp`);
-        }
+        await scheduleReconnect(userId, { reason, statusCode, message });
+      }
+    });
+    
+    // Keep chat, group and contact names in sync
+    listen('chats.upsert', chats => contactService.saveChats(userId, chats));
+    listen('chats.update', chats => contactService.saveChats(userId, chats));
+    listen('contacts.upsert', contacts => contactService.saveContacts(userId, contacts));
+    listen('contacts.update', contacts => contactService.saveContacts(userId, contacts));
+    listen('groups.upsert', groups => contactService.saveGroups(userId, groups));
+    listen('groups.update', groups => contactService.saveGroups(userId, groups));
+    
+    // History sent after linking: names always, messages only when opted in
+    listen('messaging-history.set', async ({ chats, contacts, messages, progress, isLatest }) => {
+      await contactService.saveChats(userId, chats);
+      await contactService.saveContacts(userId, contacts);
+      
+      if (!historySync) {
+        return;
+      }
+      
+      try {
+        await historySyncService.importHistory(userId, messages, historySync, { progress, isLatest });
+        realtimeService.publish(userId, 'historySync', historySyncService.formatSyncStatus(historySync));
+      } catch (error) {
+        console.error('Error importing history:', error);
       }
     });
     
     // Handle incoming messages
-    sock.ev.on('messages.upsert', async ({ messages, type }) => {
+    listen('messages.upsert', async ({ messages, type }) => {
+      // Older messages delivered outside the live feed count as history while the import runs
+      if (type === 'append' && historySync) {
+        try {
+          if (historySync.status !== 'complete') {
+            await historySyncService.importHistory(userId, messages, historySync);
+            realtimeService.publish(userId, 'historySync', historySyncService.formatSyncStatus(historySync));
+            return;
+          }
+          
+          // Afterwards they are stored like live messages (bot commands and replies aside)
+          const appended = await commandService.filterCommandTraffic(userId, messages);
+          for (const msg of appended) {
+            await ingestionService.waitForCapacity();
+            ingestionService.enqueue(userId, msg);
+          }
+        } catch (error) {
+          console.error('Error importing history:', error);
+        }
+        return;
+      }
+      
       if (type === 'notify') {
         for (const msg of messages) {
           try {
-            await messageService.storeMessage(userId, msg);
-            console.log(`💾 Message stored for user ${userId}`);
+            // Bot commands from the user's own account are answered (in the background), never stored
+            if (await commandService.handleCommand(userId, sock, msg)) {
+              continue;
+            }
+            
+            // First message from a group we have no subject for yet
+            const chatId = msg.key?.remoteJid;
+            if (chatId?.endsWith('@g.us') && !knownGroups.has(chatId)) {
+              knownGroups.add(chatId);
+              await contactService.ensureGroup(userId, sock, chatId);
+            }
+            
+            // Written in batches; wait only if the queue is full
+            await ingestionService.waitForCapacity();
+            ingestionService.enqueue(userId, msg);
           } catch (error) {
-            console.error('Error storing message:', error);
+            console.error('Error queueing message:', error);
           }
         }
       }
@@ -195,14 +396,23 @@ const disconnect = async (userId) => {
   try {
     const connection = activeConnections.get(userId);
     
-    if (connection?.sock) {
-      await connection.sock.logout();
+    if (connection) {
+      await teardownConnection(connection, { logout: true });
     }
     
     activeConnections.delete(userId);
-    await WhatsAppAuth.findOneAndDelete({ userId });
+    await authStateService.clearAuthState(userId);
     await User.findByIdAndUpdate(userId, { whatsappConnected: false });
     
+    await connectionEventService.logEvent(userId, 'disconnected');
+    realtimeService.publish(userId, 'connection', {
+      status: 'close',
+      reason: 'disconnected',
+      statusCode: null,
+      message: null,
+      willReconnect: false,
+    });
+    
     console.log(`👋 User ${userId} disconnected from WhatsApp`);
     return true;
   } catch (error) {
@@ -211,16 +421,139 @@ const disconnect = async (userId) => {
   }
 };
 
+/**
+ * Close every socket without logging out (e.g. on shutdown).
+ * Sessions stay marked as connected, so they are restored on the next start.
+ * @returns {Promise<void>}
+ */
+const closeAllConnections = async () => {
+  const connections = [...activeConnections.values()];
+  activeConnections.clear();
+  
+  await Promise.all(connections.map(connection => teardownConnection(connection)));
+  console.log(`🔌 Closed ${connections.length} WhatsApp connection(s)`);
+};
+
 const getQRCode = (userId) => {
   const connection = activeConnections.get(userId);
   return connection?.qrCode || null;
 };
 
+/**
+ * Format pairing state for API responses
+ * @param {Object|null} pairing - Pairing state from activeConnections
+ * @returns {Object|null} - { phoneNumber, code, expiresAt, attempts, attemptsLeft } or null
+ */
+const formatPairing = (pairing) => {
+  if (!pairing) {
+    return null;
+  }
+  
+  const valid = Boolean(pairing.code) && pairing.expiresAt > Date.now();
+  return {
+    phoneNumber: pairing.phoneNumber || null,
+    code: valid ? pairing.code : null,
+    expiresAt: valid ? new Date(pairing.expiresAt) : null,
+    attempts: pairing.attempts,
+    attemptsLeft: Math.max(0, PAIRING_MAX_ATTEMPTS - pairing.attempts),
+  };
+};
+
+/**
+ * Get the pending pairing code for a user's connection
+ * @param {string} userId - User ID
+ * @returns {Object|null} - See formatPairing
+ */
+const getPairingStatus = (userId) => {
+  return formatPairing(activeConnections.get(userId)?.pairing);
+};
+
+/**
+ * Link WhatsApp with a pairing code instead of a QR scan.
+ * Starts a connection if needed. A still-valid code for the same number is
+ * returned again instead of requesting a new one.
+ * @param {string} userId - User ID
+ * @param {string} phoneNumber - Number to link, digits only with country code
+ * @returns {Promise<Object>} - See formatPairing; code is null and retryAfterSeconds
+ *   set when too many codes were requested
+ */
+const requestPairingCode = async (userId, phoneNumber) => {
+  if (!activeConnections.has(userId)) {
+    await initConnection(userId);
+  }
+  
+  const conn = activeConnections.get(userId);
+  const now = Date.now();
+  let pairing = conn.pairing;
+  
+  if (pairing?.code && pairing.phoneNumber === phoneNumber && pairing.expiresAt > now) {
+    return formatPairing(pairing);
+  }
+  
+  if (!pairing || now - pairing.windowStartedAt >= PAIRING_WINDOW_MS) {
+    pairing = { attempts: 0, windowStartedAt: now };
+  }
+  
+  if (pairing.attempts >= PAIRING_MAX_ATTEMPTS) {
+    return {
+      ...formatPairing(pairing),
+      code: null,
+      expiresAt: null,
+      retryAfterSeconds: Math.ceil((pairing.windowStartedAt + PAIRING_WINDOW_MS - now) / 1000),
+    };
+  }
+  
+  // A new socket can pair once it is ready to show its first QR code
+  if (!conn.qrCode) {
+    await conn.sock.waitForConnectionUpdate(update => Boolean(update.qr), PAIRING_READY_TIMEOUT_MS);
+  }
+  
+  const code = await conn.sock.requestPairingCode(phoneNumber);
+  conn.pairing = {
+    ...pairing,
+    phoneNumber,
+    code,
+    expiresAt: Date.now() + PAIRING_CODE_TTL_MS,
+    attempts: pairing.attempts + 1,
+  };
+  
+  console.log(`🔢 Pairing code generated for user: ${userId}`);
+  realtimeService.publish(userId, 'pairing', formatPairing(conn.pairing));
+  return formatPairing(conn.pairing);
+};
+
 const isConnected = (userId) => {
   const connection = activeConnections.get(userId);
   return connection?.connected || false;
 };
 
+/**
+ * Get the history import progress for a user's connection
+ * @param {string} userId - User ID
+ * @returns {Object} - See historySyncService.formatSyncStatus
+ */
+const getHistorySyncStatus = (userId) => {
+  const connection = activeConnections.get(userId);
+  return historySyncService.formatSyncStatus(connection?.historySync);
+};
+
+/**
+ * Snapshot of a user's connection, as sent when a live stream opens
+ * @param {string} userId - User ID
+ * @returns {Object} - { status, connected, qrCode, pairing, historySync }
+ */
+const getConnectionState = (userId) => {
+  const connection = activeConnections.get(userId);
+  
+  return {
+    status: connection?.status || 'disconnected',
+    connected: connection?.connected || false,
+    qrCode: connection?.qrCode || null,
+    pairing: formatPairing(connection?.pairing),
+    historySync: historySyncService.formatSyncStatus(connection?.historySync),
+  };
+};
+
 const getActiveConnectionsCount = () => {
   return activeConnections.size;
 };
@@ -253,13 +586,39 @@ const getSocket = (userId) => {
   return connection?.sock || null;
 };
 
+/**
+ * Send a text message to the user's own "Message yourself" chat
+ * @param {string} userId - User ID
+ * @param {string} text - Message text
+ * @returns {Promise<Object|null>} - Sent message or null
+ */
+const sendToSelf = async (userId, text) => {
+  try {
+    const sock = getSocket(userId);
+    if (!sock?.user?.id || !isConnected(userId)) {
+      return null;
+    }
+    
+    return await messageService.sendUnstoredMessage(sock, jidNormalizedUser(sock.user.id), { text });
+  } catch (error) {
+    console.error(`Error sending message to user ${userId}:`, error);
+    return null;
+  }
+};
+
 module.exports = {
   initConnection,
   getConnection,
   disconnect,
+  closeAllConnections,
   getQRCode,
+  getPairingStatus,
+  requestPairingCode,
   isConnected,
+  getHistorySyncStatus,
+  getConnectionState,
   getActiveConnectionsCount,
   restoreConnections,
   getSocket,
+  sendToSelf,
 };
\ No newline at end of file
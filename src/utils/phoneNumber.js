@@ -0,0 +1,18 @@
+// ============================================
+// PHONE NUMBER HELPERS
+// Normalization for pairing-code logins
+// ============================================
+
+/**
+ * Normalize a phone number for pairing (digits only, with country code)
+ * @param {string} phoneNumber - e.g. "+49 151 2345 6789"
+ * @returns {string|null} - e.g. "4915123456789", or null if not a plausible number
+ */
+const normalizePhoneNumber = (phoneNumber) => {
+  const digits = String(phoneNumber || '').replace(/[\s()+-]/g, '');
+  return /^[1-9]\d{6,14}$/.test(digits) ? digits : null;
+};
+
+module.exports = {
+  normalizePhoneNumber,
+};
@@ -0,0 +1,63 @@
+// ============================================
+// SERVER-SENT EVENTS
+// Minimal helper for streaming events over an HTTP response
+// ============================================
+
+// Comment line sent periodically so proxies don't close idle streams
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+/**
+ * Switch a response to an SSE stream
+ * @param {Object} res - Express response
+ * @returns {Object} - { send(event, data), close(), signal }
+ *   signal aborts when the client disconnects
+ */
+const openEventStream = (res) => {
+  const controller = new AbortController();
+  
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Disable nginx buffering
+  });
+  res.flushHeaders();
+  
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+  
+  // Client disconnected (or we closed) - stop everything
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+  
+  /**
+   * Send one event
+   * @param {string} event - Event name
+   * @param {*} data - JSON-serializable payload
+   */
+  const send = (event, data) => {
+    if (res.writableEnded || controller.signal.aborted) {
+      return;
+    }
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  
+  /**
+   * End the stream
+   */
+  const close = () => {
+    clearInterval(heartbeat);
+    if (!res.writableEnded) {
+      res.end();
+    }
+  };
+  
+  return { send, close, signal: controller.signal };
+};
+
+module.exports = {
+  openEventStream,
+};
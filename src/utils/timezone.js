@@ -0,0 +1,119 @@
+// ============================================
+// TIMEZONE HELPERS
+// Wall-clock times in IANA timezones (DST-aware, no dependencies)
+// ============================================
+
+/**
+ * Check that a string is an IANA timezone the runtime knows
+ * @param {string} timeZone - e.g. "Europe/Berlin"
+ * @returns {boolean}
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return typeof timeZone === 'string';
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get the wall-clock date parts of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} - { year, month (1-12), day, hour, minute, weekday (0 = Sunday) }
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    weekday: 'short',
+  }).formatToParts(date);
+  
+  const get = (type) => parts.find(part => part.type === type).value;
+  const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  
+  return {
+    year: Number(get('year')),
+    month: Number(get('month')),
+    day: Number(get('day')),
+    hour: Number(get('hour')),
+    minute: Number(get('minute')),
+    weekday: weekdays.indexOf(get('weekday')),
+  };
+};
+
+/**
+ * Convert a wall-clock time in a timezone to an instant.
+ * Times skipped by a DST change resolve to the same offset as just before it.
+ * @param {Object} local - { year, month (1-12), day, hour, minute }
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date} - Instant
+ */
+const zonedTimeToDate = ({ year, month, day, hour, minute }, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  
+  // Offset of the timezone at an instant, in milliseconds
+  const offsetAt = (instant) => {
+    const parts = getZonedParts(new Date(instant), timeZone);
+    const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+    return asUTC - Math.floor(instant / 60000) * 60000;
+  };
+  
+  // Two passes settle the offset across DST boundaries
+  let instant = wallClock - offsetAt(wallClock);
+  instant = wallClock - offsetAt(instant);
+  
+  return new Date(instant);
+};
+
+/**
+ * Find the next time a daily "HH:MM" occurs in a timezone
+ * @param {string} time - Local time, "HH:MM" (24h)
+ * @param {string} timeZone - IANA timezone
+ * @param {Object} options - { after?, days? }
+ *   after: only consider occurrences strictly after this instant (default now)
+ *   days: allowed weekdays (0 = Sunday); all days if empty
+ * @returns {Date} - Next occurrence
+ */
+const nextOccurrence = (time, timeZone, { after = new Date(), days = [] } = {}) => {
+  const [hour, minute] = time.split(':').map(Number);
+  const today = getZonedParts(after, timeZone);
+  
+  // A week plus one day always contains an allowed day
+  for (let offset = 0; offset <= 7; offset++) {
+    // Date.UTC normalizes day overflow into the next month/year
+    const date = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    const weekday = date.getUTCDay();
+    
+    if (days.length > 0 && !days.includes(weekday)) {
+      continue;
+    }
+    
+    const candidate = zonedTimeToDate({
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate(),
+      hour,
+      minute,
+    }, timeZone);
+    
+    if (candidate > after) {
+      return candidate;
+    }
+  }
+  
+  return null;
+};
+
+module.exports = {
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToDate,
+  nextOccurrence,
+};
@@ -0,0 +1,17 @@
+// ============================================
+// WHATSAPP FORMATTING
+// Convert generated markdown to WhatsApp's text formatting
+// ============================================
+
+/**
+ * Convert markdown emphasis to WhatsApp formatting (*bold*)
+ * @param {string} text - Markdown text
+ * @returns {string} - WhatsApp text
+ */
+const toWhatsAppText = (text) => {
+  return text.replace(/\*\*(.+?)\*\*/g, '*$1*');
+};
+
+module.exports = {
+  toWhatsAppText,
+};
@@ -0,0 +1,147 @@
+// ============================================
+// AI SERVICE TESTS
+// Summaries, topics, sentiment and Q&A against the offline echo provider
+// ============================================
+
+require('./setup');
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const aiService = require('../src/services/aiService');
+const createEchoProvider = require('../src/services/providers/echoProvider');
+
+const START = 1700000000;
+
+/**
+ * Build a chat of text messages, one per minute
+ * @param {Array<string>} texts - Message texts
+ * @returns {Array} - Message objects, oldest first
+ */
+const buildMessages = (texts) => texts.map((content, i) => ({
+  messageId: `m${i}`,
+  sender: i % 2 === 0 ? 'Alice' : 'Bob',
+  content,
+  type: 'text',
+  timestamp: START + i * 60,
+}));
+
+test('resolves to the deployment default provider without an override', () => {
+  assert.equal(aiService.resolveProviderName(null), 'echo');
+  assert.equal(aiService.resolveProviderName('openai'), 'openai');
+});
+
+test('summarizes a short chat in a single prompt', async () => {
+  const result = await aiService.summarizeMessages(buildMessages(['Lunch at 12?', 'Sure']));
+  
+  assert.equal(result.chunkCount, 1);
+  assert.equal(result.structured, null);
+  assert.match(result.summary, /2 message\(s\) received/);
+  assert.match(result.summary, /First: Alice .*Lunch at 12\?/);
+});
+
+test('summarizes chats over the token budget map-reduce style', async () => {
+  const messages = buildMessages(Array.from({ length: 600 }, (_, i) => `Message number ${i} about the project plan`));
+  const stages = [];
+  
+  const result = await aiService.summarizeMessages(messages, {
+    onProgress: progress => stages.push(progress.stage),
+  });
+  
+  assert.ok(result.chunkCount > 1);
+  assert.equal(stages[0], 'chunking');
+  assert.equal(stages.filter(stage => stage === 'map').length, result.chunkCount);
+  assert.equal(stages[stages.length - 1], 'final');
+  assert.match(result.summary, /Echo summary/);
+});
+
+test('returns a placeholder without messages', async () => {
+  const result = await aiService.summarizeMessages([]);
+  
+  assert.equal(result.chunkCount, 0);
+  assert.equal(result.summary, 'No messages available to summarize.');
+});
+
+test('streams the summary through onToken', async () => {
+  const tokens = [];
+  const result = await aiService.summarizeMessages(buildMessages(['One', 'Two']), {
+    onToken: text => tokens.push(text),
+  });
+  
+  assert.ok(tokens.length > 1);
+  assert.equal(tokens.join(''), result.summary);
+});
+
+test('reports an aborted generation instead of failing', async () => {
+  const controller = new AbortController();
+  controller.abort();
+  
+  const result = await aiService.summarizeMessages(buildMessages(['One', 'Two']), {
+    signal: controller.signal,
+    onToken: () => {},
+  });
+  
+  assert.equal(result.failed, true);
+  assert.equal(result.aborted, true);
+});
+
+test('returns validated structured summaries with rendered markdown', async () => {
+  const result = await aiService.summarizeMessages(buildMessages(['Ship it', 'Agreed']), { format: 'structured' });
+  
+  assert.deepEqual(result.structured.topics, ['General discussion']);
+  assert.deepEqual(result.structured.updates, ['2 message(s) received']);
+  assert.match(result.summary, /General discussion/);
+});
+
+test('uses fixtures for the echo provider when given', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'echo-'));
+  const fixturesPath = path.join(dir, 'ai.json');
+  fs.writeFileSync(fixturesPath, JSON.stringify({ summary: 'Fixed summary', topics: ['A', 'B'] }));
+  
+  try {
+    const provider = createEchoProvider({ fixturesPath });
+    
+    assert.equal(await provider.generate('anything', { task: 'summary' }), 'Fixed summary');
+    assert.equal(await provider.generate('anything', { task: 'topics' }), '["A","B"]');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('extracts topics and scores sentiment per message', async () => {
+  const messages = buildMessages(['Hello', 'Hi', 'How are you?']);
+  
+  assert.deepEqual(await aiService.extractTopics(messages), ['General discussion']);
+  
+  const sentiment = await aiService.analyzeSentiment(messages);
+  assert.equal(sentiment.overall.sentiment, 'neutral');
+  assert.equal(sentiment.overall.messageCount, 3);
+  assert.deepEqual(sentiment.participants.map(p => p.sender).sort(), ['Alice', 'Bob']);
+});
+
+test('stops topic and sentiment generation once aborted', async () => {
+  const controller = new AbortController();
+  controller.abort();
+  const options = { signal: controller.signal };
+  const messages = buildMessages(['Hello']);
+  
+  assert.deepEqual(await aiService.extractTopics(messages, options), []);
+  assert.equal(await aiService.analyzeSentiment(messages, options), null);
+});
+
+test('answers questions citing only retrieved messages', async () => {
+  const messages = buildMessages(['The party is on Friday', 'Bring snacks', 'Unrelated']);
+  const result = await aiService.answerQuestion('When is the party?', messages);
+  
+  assert.match(result.answer, /Echo answer/);
+  assert.equal(result.citations.length, 1);
+  assert.equal(result.citations[0].messageId, 'm0');
+});
+
+test('describes media in prompts', () => {
+  assert.equal(aiService.describeContent({ type: 'image', content: 'Beach' }), '[image: Beach]');
+  assert.equal(aiService.describeContent({ type: 'voice', media: { duration: 42 } }), '[voice note 0:42]');
+  assert.equal(aiService.describeContent({ type: 'document', content: '', media: { fileName: 'a.pdf' } }), '[document: a.pdf]');
+});
@@ -0,0 +1,106 @@
+// ============================================
+// AUTH STATE SERVICE TESTS
+// Serialization of WhatsApp credentials and migration of legacy auth documents
+// ============================================
+
+require('./setup');
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { initAuthCreds } = require('@whiskeysockets/baileys');
+const WhatsAppAuth = require('../src/models/WhatsAppAuth');
+const WhatsAppKey = require('../src/models/WhatsAppKey');
+const {
+  serialize,
+  deserialize,
+  reviveLegacyValue,
+  migrateLegacyAuthStates,
+} = require('../src/services/authStateService');
+
+const bytes = Buffer.from([0, 1, 2, 254, 255]);
+
+test('round-trips Buffers and Uint8Arrays', () => {
+  const value = { noiseKey: { private: bytes, public: new Uint8Array([9, 8, 7]) }, registrationId: 42 };
+  const restored = deserialize(serialize(value));
+  
+  assert.ok(Buffer.isBuffer(restored.noiseKey.private));
+  assert.ok(Buffer.isBuffer(restored.noiseKey.public));
+  assert.deepEqual(restored.noiseKey.private, bytes);
+  assert.deepEqual(restored.noiseKey.public, Buffer.from([9, 8, 7]));
+  assert.equal(restored.registrationId, 42);
+});
+
+test('round-trips freshly generated credentials', () => {
+  const creds = initAuthCreds();
+  const restored = deserialize(serialize(creds));
+  
+  assert.deepEqual(restored.signedIdentityKey.private, creds.signedIdentityKey.private);
+  assert.deepEqual(restored.signedPreKey.signature, creds.signedPreKey.signature);
+  assert.equal(restored.advSecretKey, creds.advSecretKey);
+});
+
+test('revives BSON Binary values from legacy documents', () => {
+  const revived = reviveLegacyValue({ key: new mongoose.mongo.Binary(bytes), nested: [{ key: new mongoose.mongo.Binary(bytes) }] });
+  
+  assert.ok(Buffer.isBuffer(revived.key));
+  assert.deepEqual(revived.key, bytes);
+  assert.deepEqual(revived.nested[0].key, bytes);
+});
+
+test('revives earlier JSON shapes of Buffers', () => {
+  const revived = reviveLegacyValue({
+    base64: { type: 'Buffer', data: bytes.toString('base64') },
+    array: { type: 'Buffer', data: [...bytes] },
+    indexed: { 0: 0, 1: 1, 2: 2, 3: 254, 4: 255 },
+  });
+  
+  assert.deepEqual(revived.base64, bytes);
+  assert.deepEqual(revived.array, bytes);
+  assert.deepEqual(revived.indexed, bytes);
+});
+
+test('keeps plain values as they are', () => {
+  assert.equal(reviveLegacyValue(null), null);
+  assert.equal(reviveLegacyValue('text'), 'text');
+  assert.deepEqual(reviveLegacyValue({ me: { id: '4915123456789@s.whatsapp.net' }, registered: true, counter: 3 }), {
+    me: { id: '4915123456789@s.whatsapp.net' },
+    registered: true,
+    counter: 3,
+  });
+});
+
+test('migrates a legacy document into creds and one key per entry', async () => {
+  const userId = new mongoose.Types.ObjectId();
+  const creds = initAuthCreds();
+  let saved = false;
+  const authDoc = {
+    userId,
+    creds: null,
+    authState: {
+      creds: { ...creds, noiseKey: { private: new mongoose.mongo.Binary(creds.noiseKey.private), public: creds.noiseKey.public } },
+      keys: {
+        'pre-key': { 1: { private: { type: 'Buffer', data: bytes.toString('base64') }, public: new mongoose.mongo.Binary(bytes) }, 2: null },
+      },
+    },
+    save: async () => { saved = true; },
+  };
+  
+  let operations;
+  WhatsAppAuth.find = async () => [authDoc];
+  WhatsAppKey.bulkWrite = async (ops) => { operations = ops; };
+  
+  assert.equal(await migrateLegacyAuthStates(), 1);
+  assert.equal(saved, true);
+  assert.equal(authDoc.authState, undefined);
+  
+  const migrated = deserialize(authDoc.creds);
+  assert.deepEqual(migrated.noiseKey.private, creds.noiseKey.private);
+  assert.deepEqual(migrated.noiseKey.public, creds.noiseKey.public);
+  assert.equal(migrated.registrationId, creds.registrationId);
+  
+  assert.equal(operations.length, 2);
+  assert.deepEqual(operations[0].updateOne.filter, { userId, type: 'pre-key', keyId: '1' });
+  assert.deepEqual(deserialize(operations[0].updateOne.update.$set.value), { private: bytes, public: bytes });
+  assert.deepEqual(operations[1], { deleteOne: { filter: { userId, type: 'pre-key', keyId: '2' } } });
+});
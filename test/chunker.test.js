@@ -0,0 +1,67 @@
+// ============================================
+// CHUNKER TESTS
+// Token estimates and budgeted chunking for map-reduce summaries
+// ============================================
+
+require('./setup');
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { estimateTokens, chunkMessages, groupByBudget } = require('../src/services/chunker');
+
+// 40 characters = 10 tokens (+1 for the newline) per message
+const formatMessage = msg => msg.content;
+const message = (timestamp) => ({ content: 'x'.repeat(40), timestamp });
+
+test('estimates about four characters per token', () => {
+  assert.equal(estimateTokens(''), 0);
+  assert.equal(estimateTokens(null), 0);
+  assert.equal(estimateTokens('abcd'), 1);
+  assert.equal(estimateTokens('abcde'), 2);
+});
+
+test('keeps a chat within the budget in one chunk', () => {
+  const messages = [message(0), message(60), message(120)];
+  const chunks = chunkMessages(messages, { tokenBudget: 100, gapMinutes: 60, formatMessage });
+  
+  assert.equal(chunks.length, 1);
+  assert.equal(chunks[0].length, 3);
+});
+
+test('splits when the budget is exceeded, keeping message order', () => {
+  const messages = Array.from({ length: 5 }, (_, i) => message(i * 60));
+  const chunks = chunkMessages(messages, { tokenBudget: 25, gapMinutes: 60, formatMessage });
+  
+  assert.deepEqual(chunks.map(chunk => chunk.length), [2, 2, 1]);
+  assert.deepEqual(chunks.flat(), messages);
+});
+
+test('closes a chunk early at a long gap once it is half full', () => {
+  const messages = [message(0), message(60), message(60 + 2 * 3600), message(60 + 2 * 3600 + 60)];
+  const chunks = chunkMessages(messages, { tokenBudget: 40, gapMinutes: 60, formatMessage });
+  
+  assert.deepEqual(chunks.map(chunk => chunk.length), [2, 2]);
+});
+
+test('ignores a long gap while the chunk is under half full', () => {
+  const messages = [message(0), message(2 * 3600)];
+  const chunks = chunkMessages(messages, { tokenBudget: 100, gapMinutes: 60, formatMessage });
+  
+  assert.equal(chunks.length, 1);
+});
+
+test('gives an oversized message its own chunk', () => {
+  const big = { content: 'x'.repeat(400), timestamp: 60 };
+  const chunks = chunkMessages([message(0), big, message(120)], { tokenBudget: 25, gapMinutes: 60, formatMessage });
+  
+  assert.deepEqual(chunks.map(chunk => chunk.length), [1, 1, 1]);
+  assert.equal(chunks[1][0], big);
+});
+
+test('groups texts by token budget', () => {
+  const texts = ['a'.repeat(40), 'b'.repeat(40), 'c'.repeat(40)];
+  
+  assert.deepEqual(groupByBudget(texts, 20), [[texts[0], texts[1]], [texts[2]]]);
+  assert.deepEqual(groupByBudget(texts, 5), [[texts[0]], [texts[1]], [texts[2]]]);
+  assert.deepEqual(groupByBudget([], 10), []);
+});
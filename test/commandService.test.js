@@ -0,0 +1,58 @@
+// ============================================
+// COMMAND SERVICE TESTS
+// Parsing of bot commands sent from the linked phone
+// ============================================
+
+require('./setup');
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDuration, parseCommand, isCommandTraffic } = require('../src/services/commandService');
+
+const CHAT = '491512345678@s.whatsapp.net';
+
+test('parses durations in minutes, hours and days', () => {
+  assert.equal(parseDuration('30m'), 30 * 60);
+  assert.equal(parseDuration('6h'), 6 * 60 * 60);
+  assert.equal(parseDuration('2D'), 2 * 24 * 60 * 60);
+  assert.equal(parseDuration('0h'), null);
+  assert.equal(parseDuration('6'), null);
+  assert.equal(parseDuration('1w'), null);
+  assert.equal(parseDuration(undefined), null);
+});
+
+test('parses known commands with their arguments', () => {
+  assert.deepEqual(parseCommand('!summary 6h', '!'), { name: 'summary', args: '6h' });
+  assert.deepEqual(parseCommand('!ASK  what   time?', '!'), { name: 'ask', args: 'what time?' });
+  assert.deepEqual(parseCommand('/help', '/'), { name: 'help', args: '' });
+});
+
+test('ignores unknown commands and text without the prefix', () => {
+  assert.equal(parseCommand('!unknown', '!'), null);
+  assert.equal(parseCommand('summary 6h', '!'), null);
+  assert.equal(parseCommand('!', '!'), null);
+});
+
+test('treats own commands and replies to them as command traffic', () => {
+  const command = { key: { fromMe: true, remoteJid: CHAT, id: 'c1' }, message: { conversation: '!summary' } };
+  const reply = {
+    key: { fromMe: true, remoteJid: CHAT, id: 'r1' },
+    message: {
+      extendedTextMessage: {
+        text: 'Here is your summary',
+        contextInfo: { stanzaId: 'c1', quotedMessage: { conversation: '!summary' } },
+      },
+    },
+  };
+  
+  assert.equal(isCommandTraffic(command, '!'), true);
+  assert.equal(isCommandTraffic(reply, '!'), true);
+});
+
+test('keeps normal messages and commands typed by others', () => {
+  const own = { key: { fromMe: true, remoteJid: CHAT, id: 'm1' }, message: { conversation: 'see you at 8' } };
+  const incoming = { key: { fromMe: false, remoteJid: CHAT, id: 'm2' }, message: { conversation: '!summary' } };
+  
+  assert.equal(isCommandTraffic(own, '!'), false);
+  assert.equal(isCommandTraffic(incoming, '!'), false);
+});
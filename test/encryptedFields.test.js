@@ -0,0 +1,149 @@
+// ============================================
+// ENCRYPTED FIELDS TESTS
+// Field encryption (encryptionService) and the encrypted fields plugin
+// ============================================
+
+require('./setup');
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const DataKey = require('../src/models/DataKey');
+const encryptionService = require('../src/services/encryptionService');
+const encryptedFields = require('../src/models/plugins/encryptedFields');
+
+// In-memory data keys instead of MongoDB (one active key per user)
+const dataKeys = new Map();
+DataKey.findOneAndUpdate = (filter, update) => ({
+  lean: async () => {
+    let dataKey = [...dataKeys.values()].find(key => String(key.userId) === String(filter.userId) && key.active);
+    if (!dataKey) {
+      dataKey = { _id: new mongoose.Types.ObjectId(), userId: filter.userId, active: true, ...update.$setOnInsert };
+      dataKeys.set(String(dataKey._id), dataKey);
+    }
+    return dataKey;
+  },
+});
+DataKey.findById = (id) => ({ lean: async () => dataKeys.get(String(id)) || null });
+
+const userId = new mongoose.Types.ObjectId();
+
+const paths = encryptedFields.toPaths(
+  ['content', 'replyTo.content', 'edits.content', 'result.structured'],
+  ['result.structured']
+);
+
+test('round-trips text through encrypt and decrypt', async () => {
+  const encrypted = await encryptionService.encrypt(userId, 'see you at 8 🍕');
+  
+  assert.match(encrypted, /^enc:1:[0-9a-f]{24}:/);
+  assert.ok(!encrypted.includes('see you'));
+  assert.equal(await encryptionService.decrypt(encrypted), 'see you at 8 🍕');
+  assert.equal(encryptionService.getKeyId(encrypted), (await encryptionService.getActiveKey(userId)).id);
+});
+
+test('leaves empty, non-string and already encrypted values alone', async () => {
+  const encrypted = await encryptionService.encrypt(userId, 'hello');
+  
+  assert.equal(await encryptionService.encrypt(userId, ''), '');
+  assert.equal(await encryptionService.encrypt(userId, null), null);
+  assert.equal(await encryptionService.encrypt(userId, encrypted), encrypted);
+  assert.equal(await encryptionService.decrypt('stored before encryption'), 'stored before encryption');
+});
+
+test('recognizes encrypted values by their prefix and format', async () => {
+  assert.equal(encryptionService.isEncrypted(await encryptionService.encrypt(userId, 'hello')), true);
+  assert.equal(encryptionService.isEncrypted('hello'), false);
+  assert.equal(encryptionService.isEncrypted('enc:1:not-a-key-id:abc'), false);
+  assert.equal(encryptionService.isEncrypted(`enc:2:${'a'.repeat(24)}:abc=`), false);
+  assert.equal(encryptionService.isEncrypted(undefined), false);
+  assert.equal(encryptionService.getKeyId('hello'), null);
+});
+
+test('encrypts $set, plain and nested fields of an update', async () => {
+  const update = {
+    content: 'top level',
+    $set: { replyTo: { messageId: 'm0', content: 'quoted' }, deleted: false },
+  };
+  await encryptedFields.encryptUpdate(paths, update, userId);
+  
+  assert.equal(encryptionService.isEncrypted(update.content), true);
+  assert.equal(encryptionService.isEncrypted(update.$set.replyTo.content), true);
+  assert.equal(update.$set.replyTo.messageId, 'm0');
+  assert.equal(update.$set.deleted, false);
+  assert.equal(await encryptionService.decrypt(update.$set.replyTo.content), 'quoted');
+});
+
+test('encrypts dotted paths', async () => {
+  const update = { $set: { 'replyTo.content': 'quoted', 'replyTo.messageId': 'm0' } };
+  await encryptedFields.encryptUpdate(paths, update, userId);
+  
+  assert.equal(encryptionService.isEncrypted(update.$set['replyTo.content']), true);
+  assert.equal(update.$set['replyTo.messageId'], 'm0');
+});
+
+test('encrypts pushed array items, with and without $each', async () => {
+  const single = { $push: { edits: { content: 'first draft', editedAt: 1 } } };
+  const many = { $push: { edits: { $each: [{ content: 'one' }, { content: 'two' }] } } };
+  await encryptedFields.encryptUpdate(paths, single, userId);
+  await encryptedFields.encryptUpdate(paths, many, userId);
+  
+  assert.equal(await encryptionService.decrypt(single.$push.edits.content), 'first draft');
+  assert.equal(single.$push.edits.editedAt, 1);
+  assert.deepEqual(
+    await Promise.all(many.$push.edits.$each.map(edit => encryptionService.decrypt(edit.content))),
+    ['one', 'two']
+  );
+  assert.ok(many.$push.edits.$each.every(edit => encryptionService.isEncrypted(edit.content)));
+});
+
+test('stores JSON fields as encrypted JSON text', async () => {
+  const structured = { topics: ['dinner'], actionItems: [{ task: 'book a table' }] };
+  const update = { $set: { 'result.structured': structured } };
+  await encryptedFields.encryptUpdate(paths, update, userId);
+  
+  const stored = update.$set['result.structured'];
+  assert.equal(encryptionService.isEncrypted(stored), true);
+  assert.deepEqual(JSON.parse(await encryptionService.decrypt(stored)), structured);
+});
+
+test('does not encrypt values twice', async () => {
+  const encrypted = await encryptionService.encrypt(userId, 'hello');
+  const update = { $set: { content: encrypted, 'result.structured': encrypted } };
+  await encryptedFields.encryptUpdate(paths, update, userId);
+  
+  assert.equal(update.$set.content, encrypted);
+  assert.equal(update.$set['result.structured'], encrypted);
+});
+
+test('requires a userId only when an encrypted field is written', async () => {
+  await assert.rejects(
+    encryptedFields.encryptUpdate(paths, { $set: { content: 'hello' } }, undefined),
+    /need a userId/
+  );
+  
+  const untouched = { $set: { deleted: true } };
+  await encryptedFields.encryptUpdate(paths, untouched, undefined);
+  assert.deepEqual(untouched, { $set: { deleted: true } });
+  
+  const pipeline = [{ $set: { content: 'hello' } }];
+  await encryptedFields.encryptUpdate(paths, pipeline, undefined);
+  assert.equal(pipeline[0].$set.content, 'hello');
+});
+
+test('takes the owner of an upsert from $setOnInsert', async () => {
+  const schema = new mongoose.Schema({ userId: mongoose.Schema.Types.ObjectId, content: String });
+  schema.plugin(encryptedFields, { fields: ['content'] });
+  const Note = mongoose.model('EncryptedFieldsTestNote', schema);
+  
+  let written;
+  Note.collection.updateOne = async (filter, update) => {
+    written = update;
+    return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1 };
+  };
+  
+  await Note.updateOne({ _id: new mongoose.Types.ObjectId() }, { $setOnInsert: { userId, content: 'new note' } }, { upsert: true });
+  
+  assert.equal(encryptionService.isEncrypted(written.$setOnInsert.content), true);
+  assert.equal(await encryptionService.decrypt(written.$setOnInsert.content), 'new note');
+});
@@ -0,0 +1,94 @@
+// ============================================
+// HISTORY SYNC SERVICE TESTS
+// Which history messages are imported after linking
+// ============================================
+
+require('./setup');
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSyncState, selectMessages, formatSyncStatus } = require('../src/services/historySyncService');
+
+const CHAT = '491512345678@s.whatsapp.net';
+const GROUP = '120363000000000000@g.us';
+const HOUR = 60 * 60;
+
+const now = Math.floor(Date.now() / 1000);
+
+const message = (id, secondsAgo, chatId = CHAT, content = { conversation: `message ${id}` }) => ({
+  key: { remoteJid: chatId, id },
+  messageTimestamp: now - secondsAgo,
+  message: content,
+});
+
+const ids = messages => messages.map(msg => msg.key.id);
+
+test('does not track a sync unless the user opted in', () => {
+  assert.equal(createSyncState(undefined), null);
+  assert.equal(createSyncState({ enabled: false, lookbackHours: 24, maxPerChat: 200 }), null);
+  assert.deepEqual(formatSyncStatus(null), { enabled: false });
+});
+
+test('skips messages older than the lookback window', () => {
+  const state = createSyncState({ enabled: true, lookbackHours: 2, maxPerChat: 200 });
+  const selected = selectMessages([
+    message('recent', HOUR),
+    message('old', 3 * HOUR),
+    { key: {}, messageTimestamp: now, message: { conversation: 'no chat' } },
+  ], state);
+  
+  assert.deepEqual(ids(selected), ['recent']);
+});
+
+test('takes the newest messages of each chat up to the cap', () => {
+  const state = createSyncState({ enabled: true, lookbackHours: 24, maxPerChat: 2 });
+  const selected = selectMessages([
+    message('a1', 30),
+    message('a3', 10),
+    message('g1', 15, GROUP),
+    message('a2', 20),
+  ], state);
+  
+  assert.deepEqual(ids(selected), ['a3', 'g1', 'a2']);
+  assert.equal(state.chatCounts.get(CHAT), 2);
+  assert.equal(state.chatCounts.get(GROUP), 1);
+});
+
+test('keeps the cap across batches', () => {
+  const state = createSyncState({ enabled: true, lookbackHours: 24, maxPerChat: 2 });
+  
+  assert.deepEqual(ids(selectMessages([message('a1', 30)], state)), ['a1']);
+  assert.deepEqual(ids(selectMessages([message('a2', 20), message('a3', 10)], state)), ['a3']);
+  assert.deepEqual(ids(selectMessages([message('a4', 5), message('g1', 5, GROUP)], state)), ['g1']);
+});
+
+test('does not count edits, deletions and reactions against the cap', () => {
+  const state = createSyncState({ enabled: true, lookbackHours: 24, maxPerChat: 1 });
+  const selected = selectMessages([
+    message('a1', 30),
+    message('reaction', 20, CHAT, { reactionMessage: { key: { id: 'a1' }, text: '👍' } }),
+    message('delete', 10, CHAT, { protocolMessage: { key: { id: 'a1' }, type: 0 } }),
+    message('a2', 5),
+  ], state);
+  
+  assert.deepEqual(ids(selected), ['a2', 'delete', 'reaction']);
+  assert.equal(state.chatCounts.get(CHAT), 1);
+});
+
+test('reports the sync state for the API', () => {
+  const state = createSyncState({ enabled: true, lookbackHours: 24, maxPerChat: 200 });
+  selectMessages([message('a1', 10), message('g1', 10, GROUP)], state);
+  
+  assert.deepEqual(formatSyncStatus(state), {
+    enabled: true,
+    status: 'waiting',
+    progress: null,
+    lookbackHours: 24,
+    maxPerChat: 200,
+    chats: 2,
+    messagesReceived: 0,
+    messagesImported: 0,
+    startedAt: null,
+    completedAt: null,
+  });
+});
@@ -0,0 +1,24 @@
+// ============================================
+// PHONE NUMBER TESTS
+// Normalization of numbers used for pairing codes
+// ============================================
+
+require('./setup');
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizePhoneNumber } = require('../src/utils/phoneNumber');
+
+test('strips spaces, dashes, brackets and the leading plus', () => {
+  assert.equal(normalizePhoneNumber('+49 151 2345 6789'), '4915123456789');
+  assert.equal(normalizePhoneNumber('+1 (415) 555-0100'), '14155550100');
+  assert.equal(normalizePhoneNumber(4915123456789), '4915123456789');
+});
+
+test('rejects numbers without a plausible country code or length', () => {
+  assert.equal(normalizePhoneNumber('0151 23456789'), null);
+  assert.equal(normalizePhoneNumber('+49 151'), null);
+  assert.equal(normalizePhoneNumber('+49 151 2345 6789 0123'), null);
+  assert.equal(normalizePhoneNumber('+49 151 CALL ME'), null);
+  assert.equal(normalizePhoneNumber(undefined), null);
+});
@@ -0,0 +1,44 @@
+// ============================================
+// PRIVACY SERVICE TESTS
+// Which chats may be stored under a user's allow/block lists
+// ============================================
+
+require('./setup');
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { isChatAllowed } = require('../src/services/privacyService');
+
+const DIRECT = '491512345678@s.whatsapp.net';
+const GROUP = '120363000000000000@g.us';
+
+test('stores every chat by default', () => {
+  assert.equal(isChatAllowed(undefined, DIRECT), true);
+  assert.equal(isChatAllowed({}, GROUP), true);
+});
+
+test('excludes blocked chats', () => {
+  assert.equal(isChatAllowed({ blockChats: [DIRECT] }, DIRECT), false);
+  assert.equal(isChatAllowed({ blockChats: [DIRECT] }, GROUP), true);
+});
+
+test('excludes all 1:1 chats or all groups', () => {
+  assert.equal(isChatAllowed({ blockDirect: true }, DIRECT), false);
+  assert.equal(isChatAllowed({ blockDirect: true }, GROUP), true);
+  assert.equal(isChatAllowed({ blockGroups: true }, GROUP), false);
+  assert.equal(isChatAllowed({ blockGroups: true }, DIRECT), true);
+});
+
+test('stores only listed chats in allowlist mode', () => {
+  const settings = { mode: 'allowlist', allowChats: [GROUP] };
+  
+  assert.equal(isChatAllowed(settings, GROUP), true);
+  assert.equal(isChatAllowed(settings, DIRECT), false);
+  assert.equal(isChatAllowed({ mode: 'allowlist' }, GROUP), false);
+});
+
+test('lets the block list win over the allow list', () => {
+  const settings = { mode: 'allowlist', allowChats: [GROUP], blockChats: [GROUP] };
+  
+  assert.equal(isChatAllowed(settings, GROUP), false);
+});
@@ -0,0 +1,56 @@
+// ============================================
+// RECONNECT POLICY TESTS
+// Backoff delays and give-up rules per disconnect reason
+// ============================================
+
+require('./setup');
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getReconnectPolicy, getReconnectDelay, planReconnect } = require('../src/services/reconnectPolicy');
+const { RECONNECT_BASE_DELAY_MS, RECONNECT_MAX_DELAY_MS } = require('../src/config/env');
+
+test('doubles the delay per attempt within half and all of the backoff', () => {
+  assert.equal(getReconnectDelay(1, () => 0), RECONNECT_BASE_DELAY_MS / 2);
+  assert.equal(getReconnectDelay(2, () => 0), RECONNECT_BASE_DELAY_MS);
+  assert.equal(getReconnectDelay(3, () => 0), RECONNECT_BASE_DELAY_MS * 2);
+  
+  for (let attempt = 1; attempt <= 5; attempt++) {
+    const ceiling = RECONNECT_BASE_DELAY_MS * 2 ** (attempt - 1);
+    const delay = getReconnectDelay(attempt);
+    assert.ok(delay >= ceiling / 2 && delay <= ceiling, `attempt ${attempt}: ${delay}ms`);
+  }
+});
+
+test('caps the delay at the configured maximum', () => {
+  assert.equal(getReconnectDelay(50, () => 0), RECONNECT_MAX_DELAY_MS / 2);
+  assert.ok(getReconnectDelay(50, () => 0.999999) <= RECONNECT_MAX_DELAY_MS);
+});
+
+test('falls back to the unknown policy for unrecognized reasons', () => {
+  assert.equal(getReconnectPolicy('somethingNew'), getReconnectPolicy('unknown'));
+});
+
+test('reconnects with backoff until the reason runs out of attempts', () => {
+  const first = planReconnect('connectionLost', 0, 0);
+  assert.equal(first.reconnect, true);
+  assert.equal(first.attempt, 1);
+  assert.ok(first.delayMs >= RECONNECT_BASE_DELAY_MS / 2 && first.delayMs <= RECONNECT_BASE_DELAY_MS);
+  
+  const { maxAttempts } = getReconnectPolicy('connectionLost');
+  assert.deepEqual(planReconnect('connectionLost', maxAttempts, 7), { reconnect: false, delayMs: null, attempt: 7, clearAuth: false });
+});
+
+test('reconnects right away when WhatsApp asks for a restart', () => {
+  assert.deepEqual(planReconnect('restartRequired', 0, 2), { reconnect: true, delayMs: 0, attempt: 3, clearAuth: false });
+});
+
+test('never reconnects after a logout and clears the session', () => {
+  assert.deepEqual(planReconnect('loggedOut', 0, 0), { reconnect: false, delayMs: null, attempt: 0, clearAuth: true });
+  assert.equal(planReconnect('connectionReplaced', 0, 0).clearAuth, false);
+});
+
+test('clears a bad session only once it gives up', () => {
+  assert.equal(planReconnect('badSession', 0, 0).clearAuth, false);
+  assert.equal(planReconnect('badSession', 2, 2).clearAuth, true);
+});
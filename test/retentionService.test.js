@@ -0,0 +1,41 @@
+// ============================================
+// RETENTION SERVICE TESTS
+// Which retention policy applies to a chat, and when messages expire
+// ============================================
+
+require('./setup');
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  RETENTION_LIMITS,
+  isValidRetention,
+  resolvePolicy,
+  getExpiresAt,
+} = require('../src/services/retentionService');
+const { MESSAGE_TTL_HOURS } = require('../src/config/env');
+
+test('accepts whole hours between one hour and a year', () => {
+  assert.equal(isValidRetention(RETENTION_LIMITS.min), true);
+  assert.equal(isValidRetention(RETENTION_LIMITS.max), true);
+  assert.equal(isValidRetention(0), false);
+  assert.equal(isValidRetention(RETENTION_LIMITS.max + 1), false);
+  assert.equal(isValidRetention(1.5), false);
+  assert.equal(isValidRetention('24'), false);
+});
+
+test('prefers a pinned chat, then the chat, then the user, then the default', () => {
+  const user = { retentionHours: 48 };
+  
+  assert.deepEqual(resolvePolicy(user, { pinned: true, retentionHours: 2 }), { hours: null, pinned: true, source: 'chat' });
+  assert.deepEqual(resolvePolicy(user, { retentionHours: 2 }), { hours: 2, pinned: false, source: 'chat' });
+  assert.deepEqual(resolvePolicy(user, { retentionHours: null }), { hours: 48, pinned: false, source: 'user' });
+  assert.deepEqual(resolvePolicy(null, null), { hours: MESSAGE_TTL_HOURS, pinned: false, source: 'default' });
+});
+
+test('computes expiry from the policy', () => {
+  const from = new Date('2024-07-01T12:00:00Z');
+  
+  assert.equal(getExpiresAt({ hours: 24 }, from).toISOString(), '2024-07-02T12:00:00.000Z');
+  assert.equal(getExpiresAt({ hours: null, pinned: true }, from), null);
+});
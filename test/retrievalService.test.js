@@ -0,0 +1,66 @@
+// ============================================
+// RETRIEVAL SERVICE TESTS
+// Keyword ranking of the messages sent along with a question
+// ============================================
+
+require('./setup');
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { tokenize, retrieveMessages } = require('../src/services/retrievalService');
+
+// Every message costs 11 tokens (40 characters + newline)
+const formatMessage = () => 'x'.repeat(40);
+
+/**
+ * Build messages with the given contents
+ * @param {Array<string>} contents - Message texts
+ * @returns {Array} - Message objects, oldest first
+ */
+const buildMessages = contents => contents.map((content, i) => ({ messageId: `m${i}`, sender: 'Alice', content }));
+
+const ids = messages => messages.map(msg => msg.messageId);
+
+test('tokenizes into lowercase terms without stopwords', () => {
+  assert.deepEqual(tokenize('When is the Party at Café 9?'), ['party', 'café']);
+  assert.deepEqual(tokenize(null), []);
+});
+
+test('returns the whole chat when it fits the budget', () => {
+  const messages = buildMessages(['a', 'b', 'c']);
+  
+  assert.equal(retrieveMessages(messages, 'anything', { tokenBudget: 100, formatMessage }), messages);
+});
+
+test('selects matching messages with their neighbours, oldest first', () => {
+  const messages = buildMessages(['one', 'two', 'three', 'party on friday', 'five', 'six', 'seven', 'eight']);
+  
+  const selected = retrieveMessages(messages, 'When is the party?', { tokenBudget: 40, formatMessage, contextWindow: 1 });
+  
+  assert.deepEqual(ids(selected), ['m2', 'm3', 'm4']);
+});
+
+test('ranks rare terms above common ones', () => {
+  const messages = buildMessages(['pizza tonight', 'pizza again', 'pizza and budget', 'pizza', 'nothing', 'nothing', 'nothing']);
+  
+  const selected = retrieveMessages(messages, 'pizza budget', { tokenBudget: 11, formatMessage, contextWindow: 0 });
+  
+  assert.deepEqual(ids(selected), ['m2']);
+});
+
+test('finds media by file name', () => {
+  const messages = buildMessages(['a', 'b', 'c', 'd', 'e']);
+  messages[1] = { messageId: 'm1', sender: 'Bob', content: '', media: { fileName: 'invoice.pdf' } };
+  
+  const selected = retrieveMessages(messages, 'invoice', { tokenBudget: 11, formatMessage, contextWindow: 0 });
+  
+  assert.deepEqual(ids(selected), ['m1']);
+});
+
+test('falls back to the most recent messages when nothing matches', () => {
+  const messages = buildMessages(['a', 'b', 'c', 'd', 'e']);
+  
+  const selected = retrieveMessages(messages, 'unrelated', { tokenBudget: 25, formatMessage });
+  
+  assert.deepEqual(ids(selected), ['m3', 'm4']);
+});
@@ -0,0 +1,82 @@
+// ============================================
+// SENTIMENT STATS TESTS
+// Aggregation of per-message scores by participant and over time
+// ============================================
+
+require('./setup');
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { labelScore, pickBucketMinutes, aggregateSentiment } = require('../src/services/sentimentStats');
+
+const START = 1700000000;
+
+test('labels scores outside the neutral band', () => {
+  assert.equal(labelScore(0.5), 'positive');
+  assert.equal(labelScore(0.2), 'neutral');
+  assert.equal(labelScore(-0.2), 'neutral');
+  assert.equal(labelScore(-0.21), 'negative');
+});
+
+test('picks the smallest bucket that keeps the timeline short', () => {
+  assert.equal(pickBucketMinutes(START, START + 60 * 60), 15);
+  assert.equal(pickBucketMinutes(START, START + 10 * 60 * 60), 60);
+  assert.equal(pickBucketMinutes(START, START + 3 * 24 * 60 * 60), 360);
+  assert.equal(pickBucketMinutes(START, START + 365 * 24 * 60 * 60), 1440);
+});
+
+test('aggregates overall, per participant and per time bucket', () => {
+  const messages = [
+    { sender: 'Alice', timestamp: START },
+    { sender: 'Bob', timestamp: START + 10 * 60 },
+    { sender: 'Alice', timestamp: START + 70 * 60 },
+    { sender: 'Alice', timestamp: START + 80 * 60 },
+  ];
+  const scores = new Map([[0, 1], [1, -1], [2, 0.5], [3, 0]]);
+  
+  const result = aggregateSentiment(messages, scores, 60);
+  
+  assert.deepEqual(result.overall, {
+    sentiment: 'neutral',
+    score: 0.13,
+    messageCount: 4,
+    breakdown: { positive: 2, neutral: 1, negative: 1 },
+    summary: 'Overall neutral (2 positive, 1 neutral, 1 negative messages)',
+  });
+  
+  // Most active first
+  assert.deepEqual(result.participants, [
+    { sender: 'Alice', sentiment: 'positive', score: 0.5, messageCount: 3 },
+    { sender: 'Bob', sentiment: 'negative', score: -1, messageCount: 1 },
+  ]);
+  
+  assert.equal(result.bucketMinutes, 60);
+  assert.deepEqual(result.timeline, [
+    { from: START, to: START + 3600, sentiment: 'neutral', score: 0, messageCount: 2 },
+    { from: START + 3600, to: START + 7200, sentiment: 'positive', score: 0.25, messageCount: 2 },
+  ]);
+});
+
+test('skips unscored messages and empty buckets', () => {
+  const messages = [
+    { sender: 'Alice', timestamp: START },
+    { sender: 'Bob', timestamp: START + 60 },
+    { timestamp: START + 5 * 60 * 60 },
+  ];
+  
+  const result = aggregateSentiment(messages, new Map([[0, -0.5], [2, 0.5]]), 60);
+  
+  assert.equal(result.overall.messageCount, 2);
+  assert.deepEqual(result.participants.map(p => p.sender), ['Alice', 'Unknown']);
+  assert.deepEqual(result.timeline.map(bucket => bucket.from), [START, START + 5 * 3600]);
+});
+
+test('returns an empty neutral result when nothing was scored', () => {
+  const result = aggregateSentiment([{ sender: 'Alice', timestamp: START }], new Map());
+  
+  assert.equal(result.overall.sentiment, 'neutral');
+  assert.equal(result.overall.messageCount, 0);
+  assert.deepEqual(result.participants, []);
+  assert.deepEqual(result.timeline, []);
+  assert.equal(result.bucketMinutes, null);
+});
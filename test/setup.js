@@ -0,0 +1,15 @@
+// ============================================
+// TEST SETUP
+// Offline environment for the test suite (required first by every test file)
+// ============================================
+
+const crypto = require('crypto');
+
+// Never call a real AI provider from tests
+process.env.AI_PROVIDER = 'echo';
+delete process.env.AI_FIXTURES_PATH;
+
+// Required by config/env.js; nothing connects to them
+process.env.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/whatsapp-summarizer-test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || crypto.randomBytes(32).toString('base64');
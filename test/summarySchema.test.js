@@ -0,0 +1,99 @@
+// ============================================
+// SUMMARY SCHEMA TESTS
+// Validation of structured AI output and markdown rendering
+// ============================================
+
+require('./setup');
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const {
+  validateSummary,
+  validateTopics,
+  validateMessageScores,
+  validateAnswer,
+  renderSummaryMarkdown,
+} = require('../src/services/summarySchema');
+
+// Echo provider that always returns invalid structured summaries
+const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'echo-'));
+process.env.AI_FIXTURES_PATH = path.join(fixturesDir, 'ai.json');
+fs.writeFileSync(process.env.AI_FIXTURES_PATH, JSON.stringify({
+  'summary-structured': '{"topics": "not a list"}',
+}));
+const aiService = require('../src/services/aiService');
+
+const validSummary = {
+  topics: ['Trip'],
+  decisions: ['Leave at 9'],
+  actionItems: [{ assignee: 'Alice', task: 'Book tickets', dueDate: 'Friday' }],
+  updates: [],
+  tone: 'Upbeat',
+};
+
+test('accepts a valid structured summary', () => {
+  assert.deepEqual(validateSummary(validSummary), []);
+  assert.deepEqual(validateSummary({ ...validSummary, actionItems: [{ assignee: 'Bob', task: 'Pack', dueDate: null }] }), []);
+});
+
+test('reports every problem in a structured summary', () => {
+  const errors = validateSummary({
+    topics: 'Trip',
+    decisions: [''],
+    actionItems: [{ assignee: 'Alice' }, 'Pack'],
+    updates: [],
+    tone: ' ',
+  });
+  
+  assert.deepEqual(errors, [
+    'topics must be an array',
+    'decisions[0] must be a non-empty string',
+    'actionItems[0].task must be a non-empty string',
+    'actionItems[1] must be an object',
+    'tone must be a non-empty string',
+  ]);
+  assert.deepEqual(validateSummary(['Trip']), ['summary must be a JSON object']);
+});
+
+test('validates topics, sentiment scores and answers', () => {
+  assert.deepEqual(validateTopics(['A', 'B']), []);
+  assert.deepEqual(validateTopics(['A', 3]), ['topics[1] must be a non-empty string']);
+  
+  assert.deepEqual(validateMessageScores({ scores: [{ i: 0, score: -1 }, { i: 1, score: 0.5 }] }), []);
+  assert.deepEqual(validateMessageScores({ scores: [{ i: -1, score: 0 }, { i: 1, score: 2 }] }), [
+    'scores[0].i must be a message index',
+    'scores[1].score must be a number between -1 and 1',
+  ]);
+  assert.deepEqual(validateMessageScores([]), ['reply must be a JSON object with a "scores" array']);
+  
+  assert.deepEqual(validateAnswer({ answer: 'Friday', citations: ['m1'] }), []);
+  assert.deepEqual(validateAnswer({ answer: '', citations: 'm1' }), [
+    'answer must be a non-empty string',
+    'citations must be an array',
+  ]);
+});
+
+test('renders a structured summary with the markdown sections', () => {
+  const markdown = renderSummaryMarkdown(validSummary);
+  
+  assert.match(markdown, /\*\*Main Topics\*\*\n- Trip/);
+  assert.match(markdown, /\*\*Action Items\*\*\n- Alice: Book tickets \(due Friday\)/);
+  assert.match(markdown, /\*\*Important Updates\*\*\n- None/);
+  assert.match(markdown, /\*\*Overall Tone\*\*\nUpbeat$/);
+});
+
+test('gives up on structured output that stays invalid after retries', async () => {
+  const messages = [{ sender: 'Alice', content: 'Hi', type: 'text', timestamp: 1700000000 }];
+  
+  try {
+    const result = await aiService.summarizeMessages(messages, { format: 'structured' });
+    
+    assert.equal(result.failed, true);
+    assert.equal(result.structured, null);
+  } finally {
+    fs.rmSync(fixturesDir, { recursive: true, force: true });
+  }
+});
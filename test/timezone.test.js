@@ -0,0 +1,71 @@
+// ============================================
+// TIMEZONE TESTS
+// Wall-clock conversions and next delivery times across DST changes
+// ============================================
+
+require('./setup');
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToDate,
+  nextOccurrence,
+} = require('../src/utils/timezone');
+
+const iso = date => date.toISOString();
+
+test('accepts IANA timezones only', () => {
+  assert.equal(isValidTimeZone('Europe/Berlin'), true);
+  assert.equal(isValidTimeZone('UTC'), true);
+  assert.equal(isValidTimeZone('Mars/Olympus'), false);
+  assert.equal(isValidTimeZone(undefined), false);
+});
+
+test('reads wall-clock parts in a timezone', () => {
+  assert.deepEqual(getZonedParts(new Date('2024-07-01T22:30:00Z'), 'Asia/Tokyo'), {
+    year: 2024,
+    month: 7,
+    day: 2,
+    hour: 7,
+    minute: 30,
+    weekday: 2,
+  });
+});
+
+test('converts wall-clock times using the offset in effect', () => {
+  assert.equal(iso(zonedTimeToDate({ year: 2024, month: 1, day: 15, hour: 9, minute: 0 }, 'Europe/Berlin')), '2024-01-15T08:00:00.000Z');
+  assert.equal(iso(zonedTimeToDate({ year: 2024, month: 7, day: 1, hour: 9, minute: 0 }, 'Europe/Berlin')), '2024-07-01T07:00:00.000Z');
+});
+
+test('resolves a time skipped by the spring DST change', () => {
+  // 02:30 does not exist in Berlin on 2024-03-31; the pre-change offset (+1) applies
+  assert.equal(iso(zonedTimeToDate({ year: 2024, month: 3, day: 31, hour: 2, minute: 30 }, 'Europe/Berlin')), '2024-03-31T01:30:00.000Z');
+});
+
+test('finds the next daily occurrence', () => {
+  const options = after => ({ after: new Date(after) });
+  
+  assert.equal(iso(nextOccurrence('09:00', 'Europe/Berlin', options('2024-07-01T06:00:00Z'))), '2024-07-01T07:00:00.000Z');
+  assert.equal(iso(nextOccurrence('09:00', 'Europe/Berlin', options('2024-07-01T07:00:00Z'))), '2024-07-02T07:00:00.000Z');
+});
+
+test('keeps the local time across the autumn DST change', () => {
+  const next = nextOccurrence('09:00', 'Europe/Berlin', { after: new Date('2024-10-26T08:00:00Z') });
+  
+  assert.equal(iso(next), '2024-10-27T08:00:00.000Z');
+});
+
+test('only picks allowed weekdays', () => {
+  // 2024-07-01 is a Monday; next Friday is the 5th
+  const next = nextOccurrence('09:00', 'Europe/Berlin', { after: new Date('2024-07-01T06:00:00Z'), days: [5] });
+  
+  assert.equal(iso(next), '2024-07-05T07:00:00.000Z');
+});
+
+test('rolls over into the next year', () => {
+  const next = nextOccurrence('08:00', 'America/New_York', { after: new Date('2024-12-31T23:00:00Z') });
+  
+  assert.equal(iso(next), '2025-01-01T13:00:00.000Z');
+});